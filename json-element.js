@@ -2,9 +2,41 @@
  * @typedef {object} Patch
  * A JSON Patch operation as specified by IETF RFC 6902
  *
- * @property {"add" | "replace" | "remove"} op
+ * @property {"add" | "replace" | "remove" | "move" | "copy" | "test"} op
  * @property {string} path
  * @property {unknown} [value]
+ * @property {string} [from]
+ */
+
+/**
+ * @typedef {object} Port
+ * Anything messages can be posted to and received from, such as a `MessagePort`, `Worker` or `BroadcastChannel`.
+ *
+ * @property {(message: any) => void} postMessage
+ * @property {(type: "message", listener: (ev: MessageEvent) => void) => void} addEventListener
+ * @property {(type: "message", listener: (ev: MessageEvent) => void) => void} removeEventListener
+ * @property {() => void} [start]
+ */
+
+/**
+ * @typedef {{ type: "json-snapshot", seq: number, json: any }
+ *   | { type: "json-patch", seq: number, patches: Patch[] }
+ *   | { type: "json-resync" }} MirrorMessage
+ * A message sent between a mirrored element and its replicas.
+ */
+
+/**
+ * @typedef {object} Replica
+ * A copy of a mirrored element's JSON, kept up to date by messages from the element.
+ *
+ * @property {any} json The JSON as of the last message, or `undefined` before the first snapshot
+ * @property {number} seq The sequence number of the last message applied, or `-1` before the first snapshot
+ * @property {() => void} close Stops listening for messages
+ */
+
+/**
+ * @typedef {CustomEvent<{ error: unknown, element: JSONElement, path: string }>} JSONErrorEvent
+ * An event emitted when reading an element's JSON throws, with a JSON Pointer to the value that failed from the root of the tree.
  */
 
 /**
@@ -12,12 +44,68 @@
  * An event emitted when the JSON changes, optionally containing an array of JSON Patch operations.
  */
 
+/**
+ * @typedef {object} Constraints
+ * Declarative constraints on a schema value, checked whenever the JSON changes.
+ *
+ * @property {boolean} [required] The value must be present
+ * @property {number | bigint} [min] The minimum value of a number
+ * @property {number | bigint} [max] The maximum value of a number
+ * @property {string | RegExp} [pattern] A pattern that a string must match; strings must match in full
+ * @property {unknown[]} [enum] A list of the allowed values
+ * @property {number} [minItems] The minimum length of an array
+ * @property {number} [maxItems] The maximum length of an array
+ */
+
+/**
+ * @typedef {object} ValidationError
+ * @property {string} path A JSON Pointer to the invalid value
+ * @property {keyof Constraints | "type" | "ref"} constraint The constraint that failed, `"type"` if the value couldn't be parsed, or `"ref"` if it refers to itself
+ * @property {string} message A human-readable description of the failure
+ * @property {JSONElement} element The element that produced the invalid value
+ */
+
+/**
+ * @typedef {object} Validity
+ * @property {boolean} valid
+ * @property {ValidationError[]} errors
+ */
+
+/**
+ * @typedef {CustomEvent<Validity>} JSONInvalidEvent
+ * An event emitted alongside `json-change` when the JSON fails any of its constraints.
+ */
+
+/**
+ * @typedef {object} HistoryEntry
+ * A change recorded by an element with a `history` attribute.
+ *
+ * @property {Patch[]} patches The operations that made the change
+ * @property {Patch[]} inverse The operations that undo it
+ */
+
+/**
+ * @typedef {CustomEvent<{ canUndo: boolean, canRedo: boolean }>} JSONHistoryChangeEvent
+ * An event emitted when an element's undo or redo history changes.
+ */
+
+/**
+ * @typedef {object} DiffOptions
+ * @property {boolean} [keyed] Whether to match array items by key or identity rather than by index
+ * @property {string} [key] The property used to match array items when diffing by key
+ */
+
+/**
+ * @typedef {"microtask" | "animation-frame" | "idle" | "debounce" | "throttle"} Schedule
+ * When an element emits `json-change` events after its JSON changes, set with its `schedule` attribute
+ */
+
 /**
  * @template T
  * @typedef {(value: string | null, els: JSONElement[]) => T | undefined} ValueGetter
  */
 
-/** @typedef {boolean | number | string | null | typeof Boolean | typeof Number | typeof String | typeof Object | typeof JSONElement | typeof Array | Array<typeof Object | typeof JSONElement> | ValueGetter<any>} SchemaInput */
+/** @typedef {boolean | number | string | null | typeof Boolean | typeof Number | typeof String | JSON | DateConstructor | BigIntConstructor | typeof Object | typeof JSONElement | typeof Array | Array<typeof Object | typeof JSONElement> | ValueGetter<any>} SchemaInput */
 
 const LITERAL_TYPES = new Set(["boolean", "number", "string", "null"]);
 
@@ -34,11 +122,109 @@ const isArraySchema = schema => Array.isArray(schema) || schema === Array;
 const isObjectSchema = schema =>
   /** @type {typeof Object} */ (schema)?.prototype instanceof JSONElement || schema === Object;
 
-/** @param {SchemaInput} schema */
+/**
+ * Whether a schema value reads a scalar or a list from a single string, so it can be written back.
+ * @param {SchemaInput} schema
+ */
+const isScalarSchema = schema =>
+  schema === Boolean ||
+  schema === Number ||
+  schema === String ||
+  schema === JSON ||
+  schema === Date ||
+  schema === BigInt ||
+  isListSchema(schema);
+
+/**
+ * @param {SchemaInput} schema
+ * @returns {boolean}
+ */
 const isCompositeSchema = schema =>
-  isObjectSchema(schema) ||
-  isArraySchema(schema) ||
-  (typeof schema === "function" && schema.length >= 2);
+  isConstrainedSchema(schema)
+    ? isCompositeSchema(schema.schema)
+    : isObjectSchema(schema) ||
+      isArraySchema(schema) ||
+      (typeof schema === "function" && !isScalarSchema(schema) && schema.length >= 2);
+
+/**
+ * @param {SchemaInput} schema
+ * @returns {schema is ValueGetter<any> & { schemata: SchemaInput[] }}
+ */
+const isEnumSchema = schema => typeof schema === "function" && "schemata" in schema;
+
+/**
+ * @typedef {"text" | "script"} Source
+ * Where a value getter reads from, if not the attribute named after its key
+ */
+
+/**
+ * @param {SchemaInput} schema
+ * @returns {schema is ValueGetter<any[]> & { item: SchemaInput, separator: string }}
+ */
+const isListSchema = schema => typeof schema === "function" && "separator" in schema;
+
+/**
+ * @param {SchemaInput} schema
+ * @returns {schema is ValueGetter<Record<string, any>> & { keyedBy: string, item: SchemaInput }}
+ */
+const isDictionarySchema = schema => typeof schema === "function" && "keyedBy" in schema;
+
+/**
+ * @param {SchemaInput} schema
+ * @returns {schema is ValueGetter<any> & { ref: SchemaInput }}
+ */
+const isRefSchema = schema => typeof schema === "function" && "ref" in schema;
+
+/**
+ * @param {SchemaInput} schema
+ * @returns {schema is ValueGetter<any> & { parse: (value: string) => any }}
+ */
+const isParserSchema = schema => typeof schema === "function" && "parse" in schema;
+
+/**
+ * @param {SchemaInput} schema
+ * @returns {schema is ValueGetter<any> & { source: Source, schema?: SchemaInput }}
+ */
+const isSourceSchema = schema => typeof schema === "function" && "source" in schema;
+
+/**
+ * @typedef {object} Field
+ * The object form of a schema value, for keys that need more than a type.
+ *
+ * @property {SchemaInput} type How the value is read from the DOM
+ * @property {string} [attribute] The attribute to read from, if not the one named after the key
+ * @property {unknown} [default] The value to use if the JSON would otherwise leave the key out
+ * @property {"attribute" | "slot" | "text"} [source] Where a scalar value is read from; defaults to the attribute
+ * @property {"omit" | "keep"} [empty] Whether empty strings, arrays and objects are left out of the JSON or kept
+ * @property {boolean} [inherit] Whether a missing value falls back to the nearest ancestor with the same key
+ */
+
+/**
+ * @typedef {Field & { key: string, attribute: string, fn: ValueGetter<any> }} CompiledField
+ * A field with its defaults filled in and its type compiled.
+ */
+
+const SOURCES = new Set(["attribute", "slot", "text"]);
+
+/**
+ * @param {SchemaInput | Field} schema
+ * @returns {schema is Field}
+ */
+const isFieldSchema = schema =>
+  typeof schema === "object" && schema !== null && !Array.isArray(schema) && schema !== JSON;
+
+/**
+ * @param {SchemaInput} schema
+ * @returns {schema is ValueGetter<any> & { schema: SchemaInput, constraints: Constraints }}
+ */
+const isConstrainedSchema = schema => typeof schema === "function" && "constraints" in schema;
+
+/**
+ * Returns the schema inside any constraints.
+ * @param {SchemaInput} schema
+ * @returns {SchemaInput}
+ */
+const unwrap = schema => (isConstrainedSchema(schema) ? unwrap(schema.schema) : schema);
 
 /** @type {ValueGetter<string>} */
 const string = value => value || undefined;
@@ -56,11 +242,63 @@ const number = value => {
   return num;
 };
 
+/**
+ * Creates a value getter from a function that parses a string, throwing an error describing the problem if it can't.
+ * The getter returns `undefined` for values that can't be parsed, and validation reports the error.
+ * @template T
+ * @param {(value: string) => T} parse
+ */
+function parser(parse) {
+  /** @type {ValueGetter<T>} */
+  const getter = value => {
+    if (value === null) return;
+
+    try {
+      return parse(value);
+    } catch {
+      return;
+    }
+  };
+
+  return Object.assign(getter, { parse });
+}
+
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}(?:T\d{2}:\d{2}(?::\d{2}(?:\.\d+)?)?(?:Z|[+-]\d{2}:\d{2})?)?$/;
+
+const literal = parser(value => {
+  try {
+    return JSON.parse(value);
+  } catch {
+    throw new Error("must be valid JSON");
+  }
+});
+
+const date = parser(value => {
+  const result = new Date(value.trim());
+  if (!ISO_DATE.test(value.trim()) || Number.isNaN(result.getTime())) {
+    throw new Error("must be an ISO 8601 date");
+  }
+
+  // dates like February 30 roll over into the next month instead of failing, so check the day still matches
+  const day = value.trim().slice(0, 10);
+  if (new Date(day).toISOString().slice(0, 10) !== day) throw new Error("must be a valid date");
+
+  return result;
+});
+
+const bigint = parser(value => {
+  if (!/^[+-]?\d+$/.test(value.trim())) throw new Error("must be an integer");
+  return BigInt(value.trim());
+});
+
 /** @type {ValueGetter<any>} */
-const object = (_, [el]) => el?.json;
+const object = (_, [el]) => el && jsonOf(el);
 
-/** @type {ValueGetter<any[]>} */
-const array = (_, els) => els.map(el => el.json);
+/**
+ * Failing items become `null` rather than being left out, so indices still match the slotted elements.
+ * @type {ValueGetter<any[]>}
+ */
+const array = (_, els) => els.map(el => jsonOf(el) ?? null);
 
 /**
  * @template {SchemaInput} T
@@ -72,6 +310,9 @@ function compile(schema) {
   else if (schema === Boolean) return boolean;
   else if (schema === Number) return number;
   else if (schema === String) return string;
+  else if (schema === JSON) return literal;
+  else if (schema === Date) return date;
+  else if (schema === BigInt) return bigint;
   else if (isObjectSchema(schema)) return object;
   else if (isArraySchema(schema)) return array;
   else if (typeof schema === "function") return /** @type ValueGetter<any> */ (schema);
@@ -79,6 +320,36 @@ function compile(schema) {
   throw new Error(`Invalid schema input ${schema}`);
 }
 
+/**
+ * Whether a value could have been produced by a schema.
+ * @param {SchemaInput} schema
+ * @param {unknown} value
+ * @returns {boolean}
+ */
+function accepts(schema, value) {
+  if (isLiteralSchema(schema)) return value === schema;
+  else if (schema === Boolean) return typeof value === "boolean";
+  else if (schema === Number) return typeof value === "number";
+  else if (schema === String) return typeof value === "string";
+  else if (schema === JSON) return value !== undefined;
+  else if (schema === Date) return value instanceof Date;
+  else if (schema === BigInt) return typeof value === "bigint";
+  else if (isListSchema(schema)) {
+    return Array.isArray(value) && value.every(item => accepts(schema.item, item));
+  } else if (isObjectSchema(schema) || isDictionarySchema(schema)) {
+    return !isScalar(value) && !Array.isArray(value);
+  } else if (isArraySchema(schema)) return Array.isArray(value);
+  else if (isEnumSchema(schema)) return schema.schemata.some(s => accepts(s, value));
+  else if (isConstrainedSchema(schema)) return accepts(schema.schema, value);
+  else if (isRefSchema(schema)) return accepts(Object, value);
+  else if (isSourceSchema(schema)) {
+    return schema.schema === undefined ? value !== undefined : accepts(schema.schema, value);
+  }
+
+  // custom functions are read-only
+  return false;
+}
+
 /**
  * @template {SchemaInput[]} T
  * @param {T} schemata
@@ -90,226 +361,3201 @@ export function Enum(...schemata) {
    * @param {string | null} value
    * @param {JSONElement[]} els
    */
-  return (value, els) => {
+  const getter = (value, els) => {
     for (const fn of fns) {
       const result = fn(value, els);
       if (result !== undefined) return result;
     }
   };
+
+  // keep the original schemata around so the DOM can be written back
+  return Object.assign(getter, { schemata });
 }
 
-export default class JSONElement extends HTMLElement {
-  static tag = "json-webcomponent";
+/**
+ * Reads a list of values from a single delimited string, such as `tags="one, two"`.
+ * Surrounding whitespace and empty items are ignored; a separator made of whitespace splits on any run of whitespace.
+ * @template {SchemaInput} T
+ * @param {T} [item] the schema used to read each item
+ * @param {string} [separator]
+ */
+export function List(item = /** @type {T} */ (String), separator = ",") {
+  const fn = compile(item);
+  const split = separator.trim() ? separator : /\s+/;
 
-  static register(tag = this.tag) {
-    const ce = customElements.get(tag);
-    if (ce === this) return;
-    else if (ce) return console.warn(`<${tag}> already registered!`);
+  const getter = parser(value =>
+    value
+      .split(split)
+      .map(part => part.trim())
+      .filter(Boolean)
+      .map(raw => {
+        const result = fn(raw, []);
+        if (result === undefined) throw new Error(`has an invalid item "${raw}"`);
+        return result;
+      })
+  );
 
-    customElements.define(tag, this);
-  }
+  return Object.assign(getter, { item, separator });
+}
 
-  /** @type {Record<string, any>} */
-  static schema = {};
+/**
+ * Collects slotted elements into an object, keyed by one of their attributes, such as `<map-source slot="sources" key="streets">`.
+ * Elements without the attribute are ignored, and if more than one element has the same key, the first one wins.
+ * @template {SchemaInput} T
+ * @param {string} [attribute] the attribute holding each element's key
+ * @param {T} [item] the class of element to create when writing new keys
+ */
+export function Dictionary(attribute = "key", item = /** @type {T} */ (Object)) {
+  /**
+   * @param {string | null} _
+   * @param {JSONElement[]} els
+   */
+  const getter = (_, els) => {
+    /** @type {Record<string, any>} */
+    const json = {};
+    for (const [key, el] of byKey(els, attribute)) {
+      const value = jsonOf(el);
+      if (value !== undefined) json[key] = value;
+    }
+    return json;
+  };
 
+  return Object.assign(getter, { keyedBy: attribute, item });
+}
+
+/**
+ * Reads an object from the `JSONElement` with a given id, named in an attribute such as `properties-ref="#shared"`.
+ * The attribute is named after the key with `-ref` added; without it, the object comes from a slotted child as usual.
+ * @template {SchemaInput} T
+ * @param {T} [schema] the class of element to create when writing a value without a reference
+ */
+export function Ref(schema = /** @type {T} */ (Object)) {
   /**
-   * @param {any} _prev
-   * @param {any} _next
-   * @param {string} [_path]
-   * @returns {Patch[]}
+   * @param {string | null} value
+   * @param {JSONElement[]} els the slotted child, or the referenced element
    */
-  static diff(_prev, _next, _path) {
-    console.warn(`Import and call enableDiff() to generate diffs.`);
-    return [];
-  }
+  const getter = (value, els) => object(value, els);
+  return Object.assign(getter, { ref: schema });
+}
 
-  static get observedAttributes() {
-    return Object.keys(this.schema);
-  }
+/** @type {Map<string, Set<JSONElement>>} Elements with references, keyed by the ids they refer to */
+const references = new Map();
 
-  /** Whether a task is queued to emit a `json-change` event */
-  #queued = false;
+/**
+ * Returns the elements whose references name an element's id.
+ * @param {Element} el
+ */
+const dependentsOf = el => (el.id && references.get(el.id)) || [];
 
-  /** @type {any} The previous JSON value for diffing */
-  #prev = null;
+/**
+ * Returns the id that a reference field names, if it's set.
+ * @param {JSONElement} el
+ * @param {CompiledField} field
+ */
+function refId(el, field) {
+  if (!isRefSchema(unwrap(field.fn))) return;
+  return el.getAttribute(`${field.attribute}-ref`)?.replace(/^#/, "") || undefined;
+}
 
-  /** @type {Record<string, ValueGetter<any>>} */
-  #schema = {};
+/**
+ * Returns the element that a reference field refers to, looking in the same document or shadow root.
+ * Virtual and detached elements aren't tracked, so their references are always missing.
+ * @param {JSONElement} el
+ * @param {CompiledField} field
+ * @returns {JSONElement | undefined}
+ */
+function referenced(el, field) {
+  const id = refId(el, field);
+  if (id === undefined || virtuals.has(el) || !el.isConnected) return;
 
-  constructor() {
-    super();
-    const root = this.attachShadow({ mode: "open" });
+  const root = /** @type {Document | ShadowRoot} */ (el.getRootNode());
+  const target = root.getElementById(id);
+  return target instanceof JSONElement ? target : undefined;
+}
 
-    this.addEventListener("json-change", this);
-    root.addEventListener("slotchange", this);
+/**
+ * Whether the JSON of a referenced element depends on the element referring to it,
+ * by containing it or by following references from it and its ancestors back to the referenced element.
+ * @param {JSONElement} el
+ * @param {JSONElement} target
+ */
+function isCycle(el, target) {
+  /** @type {JSONElement[]} */
+  const queue = [el];
+  const seen = new Set(queue);
 
-    const schema = /** @type {typeof JSONElement} */ (this.constructor).schema;
-    for (const [key, value] of Object.entries(schema)) {
-      this.#schema[key] = compile(value);
-      if (!isCompositeSchema(value)) continue;
+  for (const node of queue) {
+    if (target.contains(node)) return true;
 
-      const slot = document.createElement("slot");
-      slot.name = key;
-      root.append(slot);
+    // the JSON of every element above this one includes it, along with any elements referring to them
+    let parent = /** @type {Element | null} */ (node);
+    while (parent instanceof JSONElement) {
+      for (const dependent of dependentsOf(parent)) {
+        if (seen.has(dependent)) continue;
+        seen.add(dependent);
+        queue.push(dependent);
+      }
+
+      parent = parent.parentElement;
     }
   }
 
-  attributeChangedCallback() {
-    this.#queue();
-  }
+  return false;
+}
 
-  connectedCallback() {
-    this.#queue();
+/**
+ * Returns the elements a field reads its value from: the referenced element if it has a reference,
+ * or otherwise the elements in its slot.
+ * @param {JSONElement} el
+ * @param {CompiledField} field
+ * @returns {JSONElement[]}
+ */
+function elementsOf(el, field) {
+  if (refId(el, field) !== undefined) {
+    const target = referenced(el, field);
+    return target && !isCycle(el, target) ? [target] : [];
   }
 
-  /** @param {JSONChangeEvent} ev */
-  handleEvent(ev) {
-    switch (ev.type) {
-      case "slotchange": {
-        this.#queue();
-        break;
-      }
-
-      // batch multiple `json-change` events from descendants
-      case "json-change": {
-        const target = ev.target;
-
-        // if this element dispatched the event, let it through
-        if (target === this) return;
-        if (!(target instanceof JSONElement)) return;
+  return isCompositeSchema(field.fn) ? slotted(el, field.key) : [];
+}
 
-        // prevent any other handlers from handling the event
-        ev.stopImmediatePropagation();
+/** @type {WeakSet<Element>} Elements that have already been warned about having a duplicate key */
+const duplicates = new WeakSet();
 
-        // queue a `json-change` event dispatch
-        this.#queue();
-        break;
-      }
-    }
-  }
+/**
+ * Maps elements by the value of one of their attributes, warning about any duplicates.
+ * @param {JSONElement[]} els
+ * @param {string} attribute
+ */
+function byKey(els, attribute) {
+  /** @type {Map<string, JSONElement>} */
+  const map = new Map();
 
-  /** Queues a `json-change` event dispatch */
-  #queue() {
-    // if there are no changes, queue a microtask to notify
-    if (!this.#queued) queueMicrotask(() => this.#notify());
-    this.#queued = true;
-  }
+  for (const el of els) {
+    const key = el.getAttribute(attribute);
+    if (key === null) continue;
 
-  /** Sends a `json-change` event */
-  #notify() {
-    /** @type {Patch[] | undefined} */
-    let patches;
-    if (this.hasAttribute("diff")) {
-      const json = this.json;
-      patches = diff(this.#prev, json);
-      this.#prev = json;
+    if (!map.has(key)) map.set(key, el);
+    else if (!duplicates.has(el)) {
+      duplicates.add(el);
+      console.warn(`Duplicate ${attribute} "${key}"; only the first element with it is included`);
     }
-
-    // create a new event with the batched changes
-    /** @type {JSONChangeEvent} */
-    const ev = new CustomEvent("json-change", {
-      detail: { patches },
-      bubbles: true
-    });
-
-    this.#queued = false;
-    this.dispatchEvent(ev);
   }
 
-  get json() {
-    /** @type {any} */
-    const json = {};
+  return map;
+}
 
-    for (const [key, fn] of Object.entries(this.#schema)) {
-      const slotted = isCompositeSchema(fn) ? this.#slotted(key) : [];
-      const value = fn(this.getAttribute(key), slotted);
-      if (value !== undefined) json[key] = value;
+/**
+ * Describes why a raw string couldn't be read by a schema, if it couldn't.
+ * @param {SchemaInput} schema
+ * @param {string | null} value
+ * @returns {string | undefined}
+ */
+function parseError(schema, value) {
+  if (value === null) return;
+  else if (isConstrainedSchema(schema)) return parseError(schema.schema, value);
+  else if (isSourceSchema(schema) && schema.schema !== undefined) {
+    return parseError(schema.schema, value);
+  } else if (isEnumSchema(schema)) {
+    // an enum only fails if none of its schemata can read the value
+    if (schema(value, []) !== undefined) return;
+    for (const s of schema.schemata) {
+      const error = parseError(s, value);
+      if (error) return error;
     }
 
-    return json;
+    return;
   }
 
-  #slotted(name = "") {
-    let selector = "slot";
-    if (name) selector += `[name=${name}]`;
+  const fn = compile(schema);
+  if (!isParserSchema(fn)) return;
 
-    /** @type {HTMLSlotElement | null | undefined} */
-    const slot = this.shadowRoot?.querySelector(selector);
-
-    const els = slot?.assignedElements() || [];
-    return els.filter(
-      /** @type {(el: Element) => el is JSONElement} */ (el => el instanceof JSONElement)
-    );
+  try {
+    fn.parse(value);
+    return undefined;
+  } catch (error) {
+    return /** @type {Error} */ (error).message;
   }
 }
 
-/** @param {any} obj */
-function keys(obj) {
-  if (Array.isArray(obj)) return new Array(obj.length).fill(0).map((_, i) => "" + i);
-  return Object.keys(obj);
+/**
+ * Serializes JSON that may contain bigints, which `JSON.stringify` throws on.
+ * Their strings are written back to `BigInt` attributes as is, so they read as bigints again.
+ * @param {any} json
+ * @returns {string}
+ */
+function stringify(json) {
+  return JSON.stringify(json, (_, value) => (typeof value === "bigint" ? String(value) : value));
 }
 
 /**
- * @param {string} path
- * @param {string} prop
+ * Converts a value into the string that a schema would read it from.
+ * @param {SchemaInput} schema
+ * @param {any} value
+ * @returns {string}
  */
-function append(path, prop) {
-  return path + "/" + prop.replace(/~/g, "~0").replace(/\//g, "~1");
-}
+function format(schema, value) {
+  if (isConstrainedSchema(schema)) return format(schema.schema, value);
+  else if (isSourceSchema(schema)) return format(schema.schema ?? String, value);
+  else if (schema === JSON) return JSON.stringify(value);
+  else if (schema === Date && value instanceof Date) return value.toISOString();
+  else if (isListSchema(schema) && Array.isArray(value)) {
+    const separator = schema.separator.trim() ? schema.separator : " ";
+    return value.map(item => format(schema.item, item)).join(separator);
+  }
 
-/** @param {any} x */
-function isScalar(x) {
-  return typeof x !== "object" || x === null;
+  return String(value);
 }
 
 /**
- * @param {any} prev
- * @param {any} next
+ * Adds constraints to a schema value. They don't change the JSON, but they're reported through the element's `validity`.
+ * @template {SchemaInput} T
+ * @param {T} schema
+ * @param {Constraints} constraints
+ */
+export function Constrained(schema, constraints) {
+  const fn = compile(schema);
+
+  /**
+   * @param {string | null} value
+   * @param {JSONElement[]} els
+   */
+  const getter = (value, els) => fn(value, els);
+  return Object.assign(getter, { schema, constraints });
+}
+
+/**
+ * Checks a value against a set of constraints.
+ * @param {Constraints} constraints
+ * @param {unknown} value
+ * @returns {[constraint: keyof Constraints, message: string][]}
+ */
+function check(constraints, value) {
+  const { required, min, max, pattern, minItems, maxItems } = constraints;
+  if (value === undefined) return required ? [["required", "is required"]] : [];
+
+  /** @type {[constraint: keyof Constraints, message: string][]} */
+  const failures = [];
+
+  if (typeof value === "number" || typeof value === "bigint") {
+    if (min !== undefined && value < min) failures.push(["min", `must be at least ${min}`]);
+    if (max !== undefined && value > max) failures.push(["max", `must be at most ${max}`]);
+  }
+
+  if (typeof value === "string" && pattern !== undefined) {
+    const regex = typeof pattern === "string" ? new RegExp(`^(?:${pattern})$`) : pattern;
+    if (!regex.test(value)) failures.push(["pattern", `must match ${regex}`]);
+  }
+
+  if (constraints.enum && !constraints.enum.some(option => equal(option, value))) {
+    const options = constraints.enum.map(option => JSON.stringify(option)).join(", ");
+    failures.push(["enum", `must be one of ${options}`]);
+  }
+
+  if (Array.isArray(value)) {
+    if (minItems !== undefined && value.length < minItems) {
+      failures.push(["minItems", `must have at least ${minItems} items`]);
+    }
+
+    if (maxItems !== undefined && value.length > maxItems) {
+      failures.push(["maxItems", `must have at most ${maxItems} items`]);
+    }
+  }
+
+  return failures;
+}
+
+/**
+ * Reads a value from the element's own text, rather than from an attribute.
+ * @template {SchemaInput} T
+ * @param {T} [schema]
+ */
+export function TextContent(schema = /** @type {T} */ (String)) {
+  const fn = compile(schema);
+
+  /** @param {string | null} value */
+  const getter = value => fn(value, []);
+  return Object.assign(getter, { source: /** @type {const} */ ("text"), schema });
+}
+
+/** Parses a value from a `<script type="application/json">` child, rather than from an attribute. */
+export function InlineJSON() {
+  /** @param {string | null} value */
+  const getter = value => {
+    if (value === null) return;
+
+    try {
+      return JSON.parse(value);
+    } catch {
+      return;
+    }
+  };
+
+  return Object.assign(getter, { source: /** @type {const} */ ("script") });
+}
+
+/**
+ * Makes a key fall back to the value of the same key on the nearest ancestor `JSONElement` that has one,
+ * like an inherited CSS property.
+ * @template {SchemaInput} T
+ * @param {T} type
+ * @returns {Field}
+ */
+export function Inherit(type) {
+  return { type, inherit: true };
+}
+
+/** @type {Map<string, Set<JSONElement>>} Connected elements that inherit a key, keyed by that key */
+const inheritors = new Map();
+
+/**
+ * Returns the nearest ancestor with its own value for a key, along with its field for the key.
+ * @param {JSONElement} el
+ * @param {string} key
+ */
+function provider(el, key) {
+  for (let node = el.parentElement; node; node = node.parentElement) {
+    if (!(node instanceof JSONElement)) continue;
+
+    const field = schemaOf(node)[key];
+    if (field && !isCompositeSchema(field.fn) && resolve(node, field, [], false) !== undefined) {
+      return { node, field };
+    }
+  }
+
+  return undefined;
+}
+
+/**
+ * Returns a key's value from the nearest ancestor that has one.
+ * @param {JSONElement} el
+ * @param {string} key
+ */
+function inherited(el, key) {
+  const found = provider(el, key);
+  return found && resolve(found.node, found.field, []);
+}
+
+/**
+ * Returns the `JSONElement` subclasses that a schema value refers to, including inside arrays and other schema values.
+ * @param {SchemaInput} schema
+ * @returns {Array<typeof JSONElement>}
+ */
+function classesOf(schema) {
+  if (Array.isArray(schema)) return schema.flatMap(classesOf);
+  else if (/** @type {any} */ (schema)?.prototype instanceof JSONElement) {
+    return [/** @type {typeof JSONElement} */ (schema)];
+  } else if (isEnumSchema(schema)) return schema.schemata.flatMap(classesOf);
+  else if (isConstrainedSchema(schema)) return classesOf(schema.schema);
+  else if (isSourceSchema(schema))
+    return schema.schema === undefined ? [] : classesOf(schema.schema);
+  else if (isDictionarySchema(schema) || isListSchema(schema)) return classesOf(schema.item);
+  else if (isRefSchema(schema)) return classesOf(schema.ref);
+
+  return [];
+}
+
+/** @type {WeakMap<typeof JSONElement, Record<string, CompiledField>>} */
+const compiled = new WeakMap();
+
+/**
+ * Compiles a class's schema into fields, caching the result.
+ * @param {typeof JSONElement} Class
+ */
+function compileClass(Class) {
+  let fields = compiled.get(Class);
+  if (!fields) {
+    fields = {};
+    for (const [key, value] of Object.entries(Class.schema)) {
+      /** @type {Field} */
+      const field = isFieldSchema(value) ? value : { type: value };
+      if (field.source !== undefined && !SOURCES.has(field.source)) {
+        throw new Error(`Invalid source "${field.source}" for "${key}"`);
+      } else if (field.inherit && isCompositeSchema(field.type)) {
+        throw new Error(`Can't inherit "${key}", since it's read from slotted elements`);
+      }
+
+      const attribute = field.attribute ?? key;
+      fields[key] = { ...field, key, attribute, fn: compile(field.type) };
+    }
+
+    compiled.set(Class, fields);
+  }
+
+  return fields;
+}
+
+/**
+ * Returns the compiled fields of an element's schema.
+ * @param {JSONElement} el
+ */
+const schemaOf = el => compileClass(/** @type {typeof JSONElement} */ (el.constructor));
+
+/** The default number of milliseconds to wait for when debouncing or throttling `json-change` events */
+const DEFAULT_DELAY = 100;
+
+/** The default number of changes that elements with a `history` attribute can undo */
+const HISTORY_LIMIT = 100;
+
+// outside the browser there's no `HTMLElement`, but the module can still evaluate markup
+const BaseElement = /** @type {typeof HTMLElement} */ (globalThis.HTMLElement ?? class {});
+
+/**
+ * Defines a custom element, warning if the tag already belongs to another class.
+ * @param {CustomElementConstructor} Class
+ * @param {string} tag
+ * @param {CustomElementRegistry} registry
+ */
+function define(Class, tag, registry) {
+  const ce = registry.get(tag);
+  if (ce === Class) return;
+  else if (ce) return console.warn(`<${tag}> already registered!`);
+
+  registry.define(tag, Class);
+}
+
+export default class JSONElement extends BaseElement {
+  static tag = "json-webcomponent";
+
+  /**
+   * @param {string} [tag]
+   * @param {CustomElementRegistry} [registry] the registry to define the element in, if not the global one
+   */
+  static register(tag = this.tag, registry = customElements) {
+    define(this, tag, registry);
+  }
+
+  /**
+   * Registers this class along with every `JSONElement` subclass its schema refers to, directly or through other classes.
+   * Classes are registered before the classes that refer to them.
+   * @param {CustomElementRegistry} [registry] the registry to define the elements in, if not the global one
+   */
+  static registerAll(registry = customElements) {
+    /** @type {Set<typeof JSONElement>} */
+    const seen = new Set();
+
+    /** @param {typeof JSONElement} Class */
+    const visit = Class => {
+      if (seen.has(Class)) return;
+      seen.add(Class);
+
+      for (const field of Object.values(compileClass(Class))) classesOf(field.type).forEach(visit);
+      Class.register(Class.tag, registry);
+    };
+
+    visit(this);
+  }
+
+  /** @type {Record<string, any>} */
+  static schema = {};
+
+  /** @type {any} The JSON used in place of an element's own if reading it throws; if `undefined`, the element is left out */
+  static fallback = undefined;
+
+  /** Whether children are assigned to slots in a shadow root, rather than grouped by their `slot` attribute in the light DOM */
+  static shadow = true;
+
+  /**
+   * @param {any} _prev
+   * @param {any} _next
+   * @param {string} [_path]
+   * @param {DiffOptions} [_options]
+   * @returns {Patch[]}
+   */
+  static diff(_prev, _next, _path, _options) {
+    console.warn(`Import and call enableDiff() to generate diffs.`);
+    return [];
+  }
+
+  static get observedAttributes() {
+    const fields = Object.values(compileClass(this));
+    const refs = fields.filter(field => isRefSchema(unwrap(field.fn)));
+
+    // the parent's JSON depends on which slot an element is in, and elements referring to this one depend on its id
+    return [
+      ...fields.map(field => field.attribute),
+      ...refs.map(field => `${field.attribute}-ref`),
+      "slot",
+      "id"
+    ];
+  }
+
+  /** Whether a task is queued to emit a `json-change` event */
+  #queued = false;
+
+  /** @type {ReturnType<typeof setTimeout> | undefined} The timer for a debounced or throttled `json-change` event */
+  #timer;
+
+  /** The time the last `json-change` event was emitted, for throttling */
+  #notifiedAt = -Infinity;
+
+  /** @type {Promise<void> | undefined} Resolves when the queued `json-change` event has been emitted */
+  #notified;
+
+  /** @type {() => void} */
+  #resolve = () => {};
+
+  /** @type {any} The previous JSON value for diffing */
+  #prev = null;
+
+  /** @type {HistoryEntry[]} Changes that can be undone, oldest first */
+  #undo = [];
+
+  /** @type {HistoryEntry[]} Changes that have been undone and can be redone, most recently undone last */
+  #redo = [];
+
+  /** Whether the JSON at the last `json-change` event was recorded as the starting point of the history */
+  #recording = false;
+
+  /** Whether the next `json-change` event comes from undoing or redoing, so it shouldn't be recorded */
+  #replaying = false;
+
+  /** @type {MutationObserver | undefined} Watches text and `<script>` children if the schema reads from them, and slotted children if it has any */
+  #observer;
+
+  /** @type {string[]} Attributes of slotted children that the JSON is keyed or grouped by */
+  #keys = [];
+
+  /** @type {any} The JSON from the last time it was computed */
+  #json;
+
+  /** Whether anything has changed since the JSON was last computed */
+  #stale = true;
+
+  /** @type {Validity | undefined} The validity from the last time it was checked, if nothing has changed since */
+  #validity;
+
+  /** @type {JSONElement | null} The parent this element was connected to, which needs to know when it's removed */
+  #parent = null;
+
+  /** @type {string[]} The ids this element's references are registered under */
+  #refs = [];
+
+  constructor() {
+    super();
+    const root = isLight(this) ? undefined : this.attachShadow({ mode: "open" });
+
+    this.addEventListener("json-change", this);
+    this.addEventListener("json-invalid", this);
+    root?.addEventListener("slotchange", this);
+
+    // without slots, the observer has to notice children being added, removed or moved between groups instead
+    if (!root) {
+      this.#observer = new MutationObserver(this.#mutated);
+      this.#keys.push("slot");
+    }
+
+    for (const { key, fn, source } of Object.values(schemaOf(this))) {
+      const schema = unwrap(fn);
+      if (isDictionarySchema(schema)) this.#keys.push(schema.keyedBy);
+
+      const observed = isSourceSchema(schema) || isDictionarySchema(schema);
+      if (observed || source === "text" || source === "slot") {
+        this.#observer ??= new MutationObserver(this.#mutated);
+      }
+
+      if (!root || (!isCompositeSchema(fn) && source !== "slot")) continue;
+
+      const slot = document.createElement("slot");
+      slot.name = key;
+      root.append(slot);
+
+      // removing slotted children doesn't always fire a `slotchange` event, so watch for that too
+      this.#observer ??= new MutationObserver(this.#mutated);
+    }
+  }
+
+  /**
+   * @param {string} name
+   * @param {string | null} prev
+   */
+  attributeChangedCallback(name, prev) {
+    const fields = Object.values(schemaOf(this));
+    const own = fields.some(field => field.attribute === name);
+
+    // moving to another slot only changes the parent's JSON, and the parent gets a `slotchange` event or a mutation for that
+    if (name === "slot" && !own) this.#invalidate();
+    else if (name === "id" && !own) {
+      // elements referring to the old id lose this element, and ones referring to the new id gain it
+      for (const dependent of prev ? (references.get(prev) ?? []) : []) dependent.#queue();
+      for (const dependent of dependentsOf(this)) dependent.#queue();
+    } else {
+      if (name.endsWith("-ref") && this.isConnected) this.#track();
+      for (const field of fields) if (field.attribute === name) this.#cascade(field.key);
+      this.#queue();
+    }
+  }
+
+  /**
+   * Queues `json-change` events on descendants that inherit a key from this element.
+   * @param {string} key
+   */
+  #cascade(key) {
+    for (const el of inheritors.get(key) ?? []) {
+      if (el === this || !this.contains(el)) continue;
+
+      // descendants that inherit the key from something in between aren't affected
+      const node = provider(el, key)?.node;
+      if (!node || node === this || !this.contains(node)) el.#queue();
+    }
+  }
+
+  /**
+   * Registers this element under the ids its references name and the keys it inherits,
+   * so it's updated when they change.
+   */
+  #track() {
+    for (const id of this.#refs) {
+      references.get(id)?.delete(this);
+      if (!references.get(id)?.size) references.delete(id);
+    }
+
+    const inherits = Object.values(schemaOf(this)).filter(field => field.inherit);
+    for (const { key } of inherits) {
+      const els = inheritors.get(key) ?? new Set();
+      if (this.isConnected) els.add(this);
+      else els.delete(this);
+
+      if (els.size) inheritors.set(key, els);
+      else inheritors.delete(key);
+    }
+
+    this.#refs = [];
+    if (!this.isConnected) return;
+
+    for (const field of Object.values(schemaOf(this))) {
+      const id = refId(this, field);
+      if (id === undefined) continue;
+
+      if (!references.has(id)) references.set(id, new Set());
+      references.get(id)?.add(this);
+      this.#refs.push(id);
+    }
+  }
+
+  connectedCallback() {
+    this.#observer?.observe(this, {
+      childList: true,
+      characterData: true,
+      subtree: true,
+      ...(this.#keys.length && { attributes: true, attributeFilter: this.#keys })
+    });
+
+    const parent = this.parentElement;
+    this.#parent = parent instanceof JSONElement ? parent : null;
+    this.#track();
+    this.#queue();
+  }
+
+  disconnectedCallback() {
+    this.#observer?.disconnect();
+
+    // the parent's JSON no longer includes this element
+    if (this.#parent?.isConnected) this.#parent.#queue();
+    else if (this.#parent) this.#parent.#invalidate();
+    this.#parent = null;
+    this.#track();
+
+    for (const dependent of dependentsOf(this)) dependent.#queue();
+  }
+
+  /**
+   * Clears the cached JSON and validity of this element and every element that includes its JSON,
+   * either above it or referring to it.
+   * @param {Set<JSONElement>} [seen] the elements already cleared, since references can form cycles
+   */
+  #invalidate(seen = new Set()) {
+    if (seen.has(this)) return;
+    seen.add(this);
+
+    this.#stale = true;
+    this.#validity = undefined;
+    failed.delete(this);
+
+    const parent = this.parentElement;
+    if (parent instanceof JSONElement) parent.#invalidate(seen);
+    for (const dependent of dependentsOf(this)) dependent.#invalidate(seen);
+  }
+
+  /** Handles any mutations that haven't been reported yet, so the cache isn't used if they've changed the JSON */
+  #flush() {
+    const records = this.#observer?.takeRecords();
+    if (records?.length) this.#mutated(records);
+  }
+
+  /** @param {MutationRecord[]} records */
+  #mutated = records => {
+    // only text directly inside this element or inside one of its `<script>` or slotted text children is relevant,
+    // along with the attributes that slotted children are keyed by or grouped by
+    const relevant = records.some(({ type, target, attributeName }) => {
+      const parent = target.parentNode;
+
+      // some DOM implementations report attributes outside the filter, so check them again
+      if (type === "attributes") return parent === this && this.#keys.includes(attributeName ?? "");
+      else if (target === this) return true;
+      else if (target instanceof JSONElement) return false;
+      else if (parent === this) return true;
+      if (parent?.parentNode !== this || parent instanceof JSONElement) return false;
+      return parent.nodeName === "SCRIPT" || Boolean(/** @type {Element} */ (parent).slot);
+    });
+
+    if (!relevant) return;
+
+    // values read from text can be inherited too, but only keys that something inherits need to cascade
+    for (const key of Object.keys(schemaOf(this))) if (inheritors.has(key)) this.#cascade(key);
+    this.#queue();
+  };
+
+  /** @param {JSONChangeEvent | JSONInvalidEvent} ev */
+  handleEvent(ev) {
+    switch (ev.type) {
+      case "slotchange": {
+        this.#queue();
+        break;
+      }
+
+      // batch multiple `json-change` events from descendants
+      case "json-change": {
+        const target = ev.target;
+
+        // if this element dispatched the event, let it through
+        if (target === this) return;
+        if (!(target instanceof JSONElement)) return;
+
+        // prevent any other handlers from handling the event
+        ev.stopImmediatePropagation();
+
+        // queue a `json-change` event dispatch
+        this.#queue();
+        break;
+      }
+
+      // descendants' `json-invalid` events are superseded by this element's own once it's notified
+      case "json-invalid": {
+        const target = ev.target;
+        if (target === this) return;
+        if (!(target instanceof JSONElement)) return;
+
+        ev.stopImmediatePropagation();
+        break;
+      }
+    }
+  }
+
+  /**
+   * Queues a `json-change` event dispatch according to the `schedule` attribute, invalidating the cache since the JSON has changed.
+   * By default, changes are batched into a microtask.
+   */
+  #queue() {
+    const queued = this.#queued;
+    this.#invalidate();
+    this.#notified ??= new Promise(resolve => (this.#resolve = resolve));
+
+    const schedule = /** @type {Schedule | null} */ (this.getAttribute("schedule"));
+    const delay = Number(this.getAttribute("schedule-delay") || DEFAULT_DELAY);
+    // the event may have already been sent early, for example by undoing
+    const notify = () => this.#queued && this.#notify();
+
+    // debouncing restarts the timer with every change, but otherwise, only the first change schedules a dispatch
+    if (schedule === "debounce") {
+      clearTimeout(this.#timer);
+      this.#timer = setTimeout(notify, delay);
+    } else if (this.#queued) return;
+    else if (schedule === "throttle") {
+      const wait = this.#notifiedAt + delay - performance.now();
+      if (wait > 0) this.#timer = setTimeout(notify, wait);
+      else queueMicrotask(notify);
+    } else if (schedule === "animation-frame") {
+      // outside the browser, fall back to timers
+      if (typeof requestAnimationFrame === "function") requestAnimationFrame(notify);
+      else setTimeout(notify, 16);
+    } else if (schedule === "idle") {
+      if (typeof requestIdleCallback === "function") requestIdleCallback(notify);
+      else setTimeout(notify);
+    } else queueMicrotask(notify);
+
+    this.#queued = true;
+
+    // elements referring to this one change along with it
+    if (!queued) for (const dependent of dependentsOf(this)) dependent.#queue();
+  }
+
+  /**
+   * Resolves once this element and its slotted descendants have emitted `json-change` events for all their changes.
+   * @returns {Promise<void>}
+   */
+  get updateComplete() {
+    return this.#settle();
+  }
+
+  async #settle() {
+    // descendants' events queue another one here, so wait for them first
+    const children = Array.from(this.children).filter(child => child instanceof JSONElement);
+    await Promise.all(children.map(child => /** @type {JSONElement} */ (child).updateComplete));
+
+    while (this.#notified) await this.#notified;
+  }
+
+  /** Sends a `json-change` event */
+  #notify() {
+    /** @type {Patch[] | undefined} */
+    let patches;
+    try {
+      const json = this.json;
+      if (this.hasAttribute("diff") || this.hasAttribute("history")) {
+        const keyed = this.getAttribute("diff") === "keyed";
+        const key = this.getAttribute("diff-key") ?? undefined;
+        patches = diff(this.#prev, json, "", { keyed, key });
+        if (this.hasAttribute("history")) this.#record(json, patches, { keyed, key });
+        this.#prev = json;
+      }
+    } catch (error) {
+      // a parent reports the error when it reads the JSON, but there's nothing healthy left to send from the root
+      if (!(this.parentElement instanceof JSONElement)) {
+        if (!failed.has(this)) report(this, "", error);
+        failed.add(this);
+        clearTimeout(this.#timer);
+        this.#queued = false;
+        this.#notified = undefined;
+        this.#resolve();
+        return;
+      }
+    }
+
+    // create a new event with the batched changes
+    /** @type {JSONChangeEvent} */
+    const ev = new CustomEvent("json-change", {
+      detail: { patches: this.hasAttribute("diff") ? patches : undefined },
+      bubbles: true
+    });
+
+    clearTimeout(this.#timer);
+    this.#queued = false;
+    this.#notifiedAt = performance.now();
+    this.dispatchEvent(ev);
+
+    // if any constraints fail, follow up with a `json-invalid` event
+    const validity = this.validity;
+    if (!validity.valid) {
+      /** @type {JSONInvalidEvent} */
+      const invalid = new CustomEvent("json-invalid", { detail: validity, bubbles: true });
+      this.dispatchEvent(invalid);
+    }
+
+    // let anything awaiting `updateComplete` continue, unless the listeners changed the JSON again
+    if (!this.#queued) {
+      this.#notified = undefined;
+      this.#resolve();
+    }
+  }
+
+  /**
+   * Adds a change to the history, along with the operations that reverse it.
+   * @param {any} json
+   * @param {Patch[]} patches
+   * @param {DiffOptions} options
+   */
+  #record(json, patches, options) {
+    const recording = this.#recording;
+    const replaying = this.#replaying;
+    this.#recording = true;
+    this.#replaying = false;
+
+    // the first event is the starting point, and undoing or redoing is already in the history
+    if (!recording || replaying || !patches.length) return;
+
+    this.#undo.push({ patches, inverse: diff(json, this.#prev, "", options) });
+    this.#undo.splice(
+      0,
+      this.#undo.length - (Number(this.getAttribute("history")) || HISTORY_LIMIT)
+    );
+    this.#redo = [];
+    this.#historyChanged();
+  }
+
+  /**
+   * Reverts the most recent change in the history, if there is one.
+   * Only elements with a `history` attribute record their changes.
+   * @returns {boolean} whether there was a change to undo
+   */
+  undo() {
+    return this.#replay(this.#undo, this.#redo, "inverse");
+  }
+
+  /**
+   * Reapplies the most recently undone change, if there is one.
+   * @returns {boolean} whether there was a change to redo
+   */
+  redo() {
+    return this.#replay(this.#redo, this.#undo, "patches");
+  }
+
+  get canUndo() {
+    return this.#undo.length > 0;
+  }
+
+  get canRedo() {
+    return this.#redo.length > 0;
+  }
+
+  /**
+   * Moves a change from one history stack to the other, applying its operations to the DOM.
+   * @param {HistoryEntry[]} from
+   * @param {HistoryEntry[]} to
+   * @param {keyof HistoryEntry} direction
+   */
+  #replay(from, to, direction) {
+    // make sure any pending changes are recorded first, so they aren't mixed up with this one
+    this.#flush();
+    if (this.#queued) this.#notify();
+
+    const entry = from.at(-1);
+    if (!entry) return false;
+
+    // only move the entry once its operations have applied, so a failure leaves the history as it was
+    applyPatch(this, entry[direction]);
+    from.pop();
+    to.push(entry);
+
+    this.#replaying = true;
+    this.#queue();
+    this.#historyChanged();
+    return true;
+  }
+
+  /** Sends a `json-history-change` event */
+  #historyChanged() {
+    /** @type {JSONHistoryChangeEvent} */
+    const ev = new CustomEvent("json-history-change", {
+      detail: { canUndo: this.canUndo, canRedo: this.canRedo },
+      bubbles: true
+    });
+
+    this.dispatchEvent(ev);
+  }
+
+  /**
+   * Updates the attributes and slotted children so that the element's JSON matches `json`.
+   * Custom functions are read-only, so keys using them are skipped.
+   * @param {any} json
+   */
+  set json(json) {
+    // make sure the whole tree can be written before changing anything, so a failure doesn't leave it half-written
+    if (!writing) checkWrite(this, json);
+
+    writing++;
+    try {
+      for (const field of Object.values(schemaOf(this))) {
+        write(this, field, field.type, json?.[field.key]);
+      }
+    } finally {
+      writing--;
+    }
+
+    // removing slotted children doesn't always fire a `slotchange` event, so queue explicitly
+    this.#queue();
+  }
+
+  get json() {
+    // virtual elements never change, and don't have private fields to cache in
+    if (virtuals.has(this)) return compute(this);
+
+    this.#flush();
+    if (this.#stale) this.#json = freeze(share(this.#json, compute(this)));
+    this.#stale = false;
+    return this.#json;
+  }
+
+  /**
+   * Checks this element and its descendants against the constraints in their schemas.
+   * @returns {Validity}
+   */
+  get validity() {
+    if (virtuals.has(this)) return validate(this);
+
+    this.#flush();
+    return (this.#validity ??= validate(this));
+  }
+
+  /**
+   * Finds the element that produced the value at a JSON Pointer, along with the attribute it was read from, if any.
+   * Returns `undefined` if the JSON doesn't have a value there.
+   * @param {string} pointer
+   * @returns {Origin | undefined}
+   */
+  elementAt(pointer) {
+    return origin(this, parse(pointer));
+  }
+
+  /**
+   * Returns the JSON Pointer to the value that a descendant element produces within this element's JSON.
+   * Returns `undefined` if the element isn't part of this element's JSON.
+   * @param {Element} el
+   * @returns {string | undefined}
+   */
+  pointerOf(el) {
+    /** @type {string[]} */
+    const tokens = [];
+
+    for (let node = el; node !== this;) {
+      const host = node.parentElement;
+      if (!(host instanceof JSONElement)) return;
+
+      const key = node.slot;
+      const field = schemaOf(host)[key];
+      if (!field) return;
+
+      const schema = unwrap(field.type);
+      if (isArraySchema(schema)) {
+        const i = slotted(host, key).indexOf(/** @type {JSONElement} */ (node));
+        if (i === -1) return;
+        tokens.unshift(key, "" + i);
+      } else if (isDictionarySchema(schema)) {
+        const name = node.getAttribute(schema.keyedBy);
+        if (name === null || byKey(slotted(host, key), schema.keyedBy).get(name) !== node) return;
+        tokens.unshift(key, name);
+      } else tokens.unshift(key);
+
+      node = host;
+    }
+
+    return tokens.reduce(append, "");
+  }
+}
+
+/**
+ * @typedef {object} Origin
+ * Where a value in the JSON comes from.
+ *
+ * @property {Element} element The element that produced the value
+ * @property {string} [attribute] The attribute the value was read from, if it came from one
+ */
+
+/**
+ * Finds the element that produced the value at a path, following the same slots and references as the JSON.
+ * @param {JSONElement} el
+ * @param {string[]} tokens
+ * @returns {Origin | undefined}
+ */
+function origin(el, tokens) {
+  try {
+    if (get(el.json, tokens) === undefined) return;
+  } catch {
+    return;
+  }
+
+  const location = locate(el, tokens);
+  if (!location) return { element: el };
+
+  const { el: host, key, item, rest } = location;
+  const field = schemaOf(host)[key];
+  if (!field) return { element: host };
+
+  // references continue inside the referenced element
+  const target = referenced(host, field);
+  if (target) return origin(target, rest);
+
+  const schema = unwrap(field.type);
+  const els = isCompositeSchema(field.fn) ? slotted(host, key) : [];
+  if (item !== undefined) return { element: els[Number(item)] ?? host };
+  else if (isArraySchema(schema)) return { element: host };
+  else if (isDictionarySchema(schema)) {
+    const [name] = rest;
+    return { element: (name !== undefined && byKey(els, schema.keyedBy).get(name)) || host };
+  } else if (els[0]) return { element: els[0] };
+
+  // inherited values come from an ancestor
+  if (field.inherit && resolve(host, field, [], false) === undefined) {
+    const found = provider(host, key);
+    if (found) return origin(found.node, [key]);
+  }
+
+  const source = sourceOf(field, schema);
+  const child =
+    source === "script"
+      ? script(host, key)
+      : source === "slot" && !isCompositeSchema(schema)
+        ? content(host, key)
+        : undefined;
+
+  if (child) return { element: child };
+  else if (source !== "text" && host.hasAttribute(field.attribute)) {
+    return { element: host, attribute: field.attribute };
+  }
+
+  return { element: host };
+}
+
+/** @type {Record<ValidationError["constraint"], keyof ValidityStateFlags>} */
+const VALIDITY_FLAGS = {
+  type: "badInput",
+  ref: "customError",
+  required: "valueMissing",
+  min: "rangeUnderflow",
+  max: "rangeOverflow",
+  pattern: "patternMismatch",
+  enum: "customError",
+  minItems: "tooShort",
+  maxItems: "tooLong"
+};
+
+/** A `JSONElement` that participates in forms, submitting its JSON as its value. */
+export class JSONFormElement extends JSONElement {
+  static formAssociated = true;
+
+  #internals = this.attachInternals();
+
+  /** @type {string | undefined} The serialized JSON from the first `json-change` event, restored when the form resets */
+  #initial;
+
+  get form() {
+    return this.#internals.form;
+  }
+
+  get name() {
+    return this.getAttribute("name");
+  }
+
+  set name(name) {
+    if (name === null) this.removeAttribute("name");
+    else this.setAttribute("name", name);
+  }
+
+  get disabled() {
+    return this.hasAttribute("disabled");
+  }
+
+  set disabled(disabled) {
+    this.toggleAttribute("disabled", disabled);
+  }
+
+  get willValidate() {
+    return this.#internals.willValidate;
+  }
+
+  get validationMessage() {
+    return this.#internals.validationMessage;
+  }
+
+  checkValidity() {
+    return this.#internals.checkValidity();
+  }
+
+  reportValidity() {
+    return this.#internals.reportValidity();
+  }
+
+  /** @param {JSONChangeEvent | JSONInvalidEvent} ev */
+  handleEvent(ev) {
+    super.handleEvent(ev);
+    if (ev.type === "json-change" && ev.target === this) this.#update();
+  }
+
+  /** Updates the form value and validity to match the JSON */
+  #update() {
+    // if the JSON fails, the parent reading it reports the error, so keep the last value until it recovers
+    let json;
+    try {
+      json = this.json;
+    } catch {
+      return;
+    }
+
+    const value = stringify(json);
+    this.#initial ??= value;
+    this.#internals.setFormValue(value, value);
+
+    const { errors } = this.validity;
+    const [error] = errors;
+    if (!error) this.#internals.setValidity({});
+    else {
+      const flags = Object.fromEntries(
+        errors.map(({ constraint }) => [VALIDITY_FLAGS[constraint], true])
+      );
+      this.#internals.setValidity(flags, `${error.path} ${error.message}`);
+    }
+  }
+
+  formResetCallback() {
+    if (this.#initial !== undefined) this.json = JSON.parse(this.#initial);
+  }
+
+  /** @param {string | null} state */
+  formStateRestoreCallback(state) {
+    if (state !== null) this.json = JSON.parse(state);
+  }
+}
+
+/**
+ * An element that consumes the JSON of the first `JSONElement` inside it, such as a map that renders a style.
+ * Subclasses override `apply` to receive the JSON and `teardown` to clean up.
+ */
+export class JSONSink extends BaseElement {
+  static tag = "json-sink";
+
+  /**
+   * @param {string} [tag]
+   * @param {CustomElementRegistry} [registry]
+   */
+  static register(tag = this.tag, registry = customElements) {
+    define(this, tag, registry);
+  }
+
+  /** @type {JSONElement | undefined} The element whose JSON was last applied */
+  #source;
+
+  /** @type {any} The JSON that was last applied, for diffing */
+  #prev;
+
+  /** Watches for the source being added or removed */
+  #observer = new MutationObserver(() => this.#sync());
+
+  constructor() {
+    super();
+    this.addEventListener("json-change", this);
+  }
+
+  /** The `JSONElement` this sink reads from */
+  get source() {
+    return Array.from(this.children).find(child => child instanceof JSONElement);
+  }
+
+  /**
+   * Called with the source's JSON when it's first available, and again every time it changes.
+   * The first call has no patches, since there's nothing to patch yet; later calls have the operations since the last one.
+   * @param {any} _json
+   * @param {Patch[]} [_patches]
+   */
+  apply(_json, _patches) {}
+
+  /** Called when the source or the sink is removed, to clean up anything `apply` set up. */
+  teardown() {}
+
+  connectedCallback() {
+    this.#observer.observe(this, { childList: true });
+
+    // the source may have already sent its first `json-change` event
+    queueMicrotask(() => this.#sync());
+  }
+
+  disconnectedCallback() {
+    this.#observer.disconnect();
+    this.#reset();
+  }
+
+  /** @param {JSONChangeEvent} ev */
+  handleEvent(ev) {
+    if (ev.type === "json-change" && ev.target === this.source) this.#sync();
+  }
+
+  /** Applies the source's JSON if it's changed, tearing down first if the source has been replaced */
+  #sync() {
+    const source = this.isConnected ? this.source : undefined;
+    if (this.#source !== source) this.#reset();
+    if (!source) return;
+
+    const json = jsonOf(source);
+    if (!this.#source) {
+      this.#source = source;
+      this.#prev = json;
+      this.apply(json);
+      return;
+    }
+
+    const keyed = source.getAttribute("diff") === "keyed";
+    const key = source.getAttribute("diff-key") ?? undefined;
+    const patches = diff(this.#prev, json, "", { keyed, key });
+    this.#prev = json;
+    if (patches.length) this.apply(json, patches);
+  }
+
+  /** Tears down anything applied from the current source */
+  #reset() {
+    if (!this.#source) return;
+
+    this.#source = undefined;
+    this.#prev = undefined;
+    this.teardown();
+  }
+}
+
+/**
+ * A sink that saves its source's JSON to `localStorage` under its `key` attribute,
+ * restoring it into the source when the sink is first connected.
+ */
+export class JSONStorageSink extends JSONSink {
+  static tag = "json-storage-sink";
+
+  /** Whether the saved JSON has been restored into the current source */
+  #restored = false;
+
+  get key() {
+    return this.getAttribute("key") ?? "json-element";
+  }
+
+  /** @param {any} json */
+  apply(json) {
+    const saved = localStorage.getItem(this.key);
+    if (!this.#restored && saved !== null) {
+      // writing the saved JSON back leads to another `apply`, which saves it again
+      this.#restored = true;
+      const source = /** @type {JSONElement} */ (this.source);
+      source.json = JSON.parse(saved);
+      return;
+    }
+
+    this.#restored = true;
+    localStorage.setItem(this.key, stringify(json));
+  }
+
+  teardown() {
+    this.#restored = false;
+  }
+}
+
+/** A sink that logs its source's JSON and patches to the console, for debugging. */
+export class JSONConsoleSink extends JSONSink {
+  static tag = "json-console-sink";
+
+  get label() {
+    return this.getAttribute("label") ?? this.localName;
+  }
+
+  /**
+   * @param {any} json
+   * @param {Patch[]} [patches]
+   */
+  apply(json, patches) {
+    if (patches) console.debug(`[${this.label}] changed`, patches);
+    else console.debug(`[${this.label}] applied`, json);
+  }
+
+  teardown() {
+    console.debug(`[${this.label}] torn down`);
+  }
+}
+
+/** The schema values that `<json-field>` types stand for */
+const FIELD_TYPES = {
+  boolean: Boolean,
+  number: Number,
+  string: String,
+  json: JSON,
+  date: Date,
+  bigint: BigInt,
+  object: Object,
+  array: Array
+};
+
+/**
+ * @typedef {object} FieldDefinition
+ * A `<json-field>` read into plain data, so definitions can be compared.
+ *
+ * @property {string} key
+ * @property {string} type
+ * @property {string} [of] The tag of the element class for an object or array
+ * @property {string} [value] The raw value of a literal
+ * @property {string} [attribute]
+ * @property {string} [default] The raw default value
+ */
+
+/** @type {WeakMap<typeof JSONElement, string>} The serialized fields of classes defined with `<json-define>` */
+const definitions = new WeakMap();
+
+/**
+ * Reads a `<json-field>` element, including the tag of any `<json-define>` nested inside it.
+ * @param {Element} el
+ * @returns {FieldDefinition}
+ */
+function readField(el) {
+  const key = el.getAttribute("key");
+  const type = el.getAttribute("type") ?? "string";
+  if (!key) throw new Error("<json-field> needs a key attribute");
+  if (type !== "literal" && !(type in FIELD_TYPES)) {
+    throw new Error(`Unknown type "${type}" for "${key}"`);
+  }
+
+  const nested = Array.from(el.children).find(child => child.localName === "json-define");
+
+  /** @type {FieldDefinition} */
+  const field = { key, type };
+  const of = el.getAttribute("of") ?? nested?.getAttribute("tag");
+  if (of) field.of = of;
+
+  for (const name of /** @type {const} */ (["value", "attribute", "default"])) {
+    const value = el.getAttribute(name);
+    if (value !== null) field[name] = value;
+  }
+
+  return field;
+}
+
+/**
+ * Converts a field definition into a schema value.
+ * @param {FieldDefinition} field
+ * @param {typeof JSONElement} Class the class being defined, for fields that refer to it
+ * @returns {SchemaInput | Field}
+ */
+function fieldSchema(field, Class) {
+  const { key, type, of, value, attribute } = field;
+  if (type === "literal") {
+    // authors can leave the quotes off strings
+    try {
+      return JSON.parse(value ?? "null");
+    } catch {
+      return /** @type {string} */ (value);
+    }
+  }
+
+  /** @type {SchemaInput} */
+  let schema = FIELD_TYPES[/** @type {keyof typeof FIELD_TYPES} */ (type)];
+  if (of && (type === "object" || type === "array")) {
+    const Item = /** @type {typeof JSONElement | undefined} */ (
+      of === Class.tag ? Class : customElements.get(of)
+    );
+    if (!(Item?.prototype instanceof JSONElement)) {
+      throw new Error(`<${of}> isn't a JSONElement, so "${key}" can't contain it`);
+    }
+
+    schema = type === "array" ? [Item] : Item;
+  }
+
+  if (attribute === undefined && field.default === undefined) return schema;
+
+  /** @type {Field} */
+  const result = { type: schema };
+  if (attribute !== undefined) result.attribute = attribute;
+  if (field.default !== undefined) {
+    const fn = isCompositeSchema(schema) ? literal : compile(schema);
+    result.default = fn(field.default, []);
+    if (result.default === undefined) throw new Error(`Invalid default for "${key}"`);
+  }
+
+  return result;
+}
+
+/**
+ * Defines and registers a `JSONElement` subclass from markup, such as:
+ *
+ * ```html
+ * <json-define tag="geojson-point">
+ *   <json-field key="type" type="literal" value="Point"></json-field>
+ *   <json-field key="lon" type="number"></json-field>
+ *   <json-field key="lat" type="number"></json-field>
+ * </json-define>
+ * ```
+ *
+ * Objects and arrays name the tag of their elements with an `of` attribute, or by nesting a `<json-define>` inside the field.
+ */
+export class JSONDefineElement extends BaseElement {
+  static tag = "json-define";
+
+  /**
+   * @param {string} [tag]
+   * @param {CustomElementRegistry} [registry]
+   */
+  static register(tag = this.tag, registry = customElements) {
+    define(this, tag, registry);
+  }
+
+  /** @type {Promise<typeof JSONElement> | undefined} */
+  #defined;
+
+  /** Resolves with the defined class once it's registered, or rejects if the definition is invalid */
+  get defined() {
+    return (this.#defined ??= this.#define());
+  }
+
+  connectedCallback() {
+    // nothing else may be waiting on the definition, so report invalid ones like uncaught errors
+    const define = () => {
+      this.defined.catch(error => {
+        if (typeof reportError === "function") reportError(error);
+        else console.error(error);
+      });
+    };
+
+    // wait for the fields to be parsed
+    if (document.readyState === "loading") {
+      document.addEventListener("DOMContentLoaded", define, { once: true });
+    } else queueMicrotask(define);
+  }
+
+  async #define() {
+    const tag = this.getAttribute("tag");
+    if (!tag) throw new Error("<json-define> needs a tag attribute");
+
+    const fields = Array.from(this.children).filter(child => child.localName === "json-field");
+    const definition = fields.map(readField);
+
+    // wait for the classes of any objects and arrays, which may be defined later in the document
+    const tags = definition.map(field => field.of).filter(of => of !== undefined && of !== tag);
+    await Promise.all(tags.map(of => customElements.whenDefined(/** @type {string} */ (of))));
+
+    const signature = JSON.stringify(definition);
+    const existing = /** @type {typeof JSONElement | undefined} */ (customElements.get(tag));
+    if (existing) {
+      if (definitions.get(existing) === signature) return existing;
+      throw new Error(`<${tag}> is already defined with a different schema`);
+    }
+
+    /** @type {Record<string, SchemaInput | Field>} */
+    const schema = {};
+    const Class = class extends JSONElement {
+      static tag = /** @type {string} */ (tag);
+      static schema = schema;
+    };
+
+    for (const field of definition) schema[field.key] = fieldSchema(field, Class);
+
+    const name = tag.replace(/(?:^|-)(\w)/g, (_, char) => char.toUpperCase());
+    Object.defineProperty(Class, "name", { value: name });
+    definitions.set(Class, signature);
+    Class.register();
+    return Class;
+  }
+}
+
+/**
+ * Computes an element's JSON from its attributes and slotted children.
+ * Fields whose value getters throw fall back to their defaults, so the rest of the JSON is still available.
+ * @param {JSONElement} el
+ */
+function compute(el) {
+  /** @type {any} */
+  const json = {};
+
+  for (const field of Object.values(schemaOf(el))) {
+    let value;
+    try {
+      value = resolve(el, field, elementsOf(el, field));
+    } catch (error) {
+      report(el, append("", field.key), error);
+      value = structuredClone(field.default);
+    }
+
+    if (value !== undefined) json[field.key] = value;
+  }
+
+  return json;
+}
+
+/** Elements whose JSON failed and has already been reported since they were last invalidated */
+const failed = new WeakSet();
+
+/**
+ * Reads an element's JSON for its parent, using its class's fallback instead if reading it throws.
+ * Parents read it again whenever they're recomputed, but each failure is only reported once.
+ * @param {JSONElement} el
+ */
+function jsonOf(el) {
+  try {
+    return el.json;
+  } catch (error) {
+    if (!failed.has(el)) report(el, "", error);
+    failed.add(el);
+    return structuredClone(/** @type {typeof JSONElement} */ (el.constructor).fallback);
+  }
+}
+
+/**
+ * Sends a `json-error` event from an element once the current computation is over.
+ * Virtual elements can't send events, so they only use the fallbacks.
+ * @param {JSONElement} el
+ * @param {string} path the pointer to the value that failed, relative to the element
+ * @param {unknown} error
+ */
+function report(el, path, error) {
+  if (virtuals.has(el)) return;
+
+  let root = el;
+  while (root.parentElement instanceof JSONElement) root = root.parentElement;
+  const pointer = (root.pointerOf(el) ?? "") + path;
+
+  /** @type {JSONErrorEvent} */
+  const ev = new CustomEvent("json-error", {
+    detail: { error, element: el, path: pointer },
+    bubbles: true
+  });
+
+  // reading the JSON shouldn't run listeners in the middle of computing it
+  queueMicrotask(() => el.dispatchEvent(ev));
+}
+
+/**
+ * Checks an element and its descendants against the constraints in their schemas.
+ * @param {JSONElement} el
+ * @returns {Validity}
+ */
+function validate(el) {
+  /** @type {ValidationError[]} */
+  const errors = [];
+
+  for (const field of Object.values(schemaOf(el))) {
+    const { key, fn } = field;
+    const path = append("", key);
+
+    // look up the reference once, rather than again for the elements
+    const target = referenced(el, field);
+    const cycle = target !== undefined && isCycle(el, target);
+    const els = target ? (cycle ? [] : [target]) : elementsOf(el, field);
+
+    const message = parseError(field.type, read(el, field));
+    if (message) errors.push({ path, constraint: "type", message, element: el });
+
+    if (cycle) {
+      errors.push({ path, constraint: "ref", message: "has a circular reference", element: el });
+    }
+
+    if (isConstrainedSchema(fn)) {
+      // failing value getters are reported when computing the JSON
+      let value;
+      try {
+        value = resolve(el, field, els);
+      } catch {
+        value = field.default;
+      }
+
+      for (const [constraint, message] of check(fn.constraints, value)) {
+        errors.push({ path, constraint, message, element: el });
+      }
+    }
+
+    // include errors from slotted descendants, prefixed with their location within the element
+    const schema = unwrap(fn);
+    /** @type {[JSONElement | undefined, string][]} */
+    const children = isArraySchema(schema)
+      ? els.map((child, i) => [child, append(path, "" + i)])
+      : isObjectSchema(schema) || isRefSchema(schema)
+        ? [[els[0], path]]
+        : isDictionarySchema(schema)
+          ? [...byKey(els, schema.keyedBy)].map(([name, child]) => [child, append(path, name)])
+          : [];
+
+    for (const [child, prefix] of children) {
+      for (const error of child?.validity.errors ?? []) {
+        errors.push({ ...error, path: prefix + error.path });
+      }
+    }
+  }
+
+  return { valid: !errors.length, errors };
+}
+
+/**
+ * Reuses any parts of the previous JSON that are equal to the next JSON, so unchanged values keep their identity.
+ * @param {any} prev
+ * @param {any} next
+ * @returns {any}
+ */
+function share(prev, next) {
+  if (equal(prev, next)) return prev;
+
+  // frozen values are already shared by the elements that computed them
+  if (isScalar(prev) || isScalar(next) || Object.isFrozen(next)) return next;
+  if (Array.isArray(prev) !== Array.isArray(next)) return next;
+
+  for (const prop of keys(next)) next[prop] = share(prev[prop], next[prop]);
+  return next;
+}
+
+/**
+ * Freezes a value and anything inside it that isn't frozen already, so it can be safely shared.
+ * @template T
+ * @param {T} value
+ * @returns {T}
+ */
+function freeze(value) {
+  if (isScalar(value) || Object.isFrozen(value)) return value;
+
+  for (const item of Object.values(/** @type {object} */ (value))) freeze(item);
+  return Object.freeze(value);
+}
+
+/**
+ * Computes the value of a single field, applying its default and the way it treats empty values.
+ * @param {JSONElement} el
+ * @param {CompiledField} field
+ * @param {JSONElement[]} els the elements in the field's slot
+ * @param {boolean} [inherit] whether a missing value looks at ancestors and then the default, rather than only the element itself
+ */
+function resolve(el, field, els, inherit = true) {
+  const raw = read(el, field);
+  let value = field.fn(raw, els);
+
+  if (field.empty === "keep" && value === undefined && raw === "") value = "";
+  else if (field.empty === "omit" && isEmpty(value)) value = undefined;
+
+  if (!inherit) return value;
+  else if (value === undefined && field.inherit) value = inherited(el, field.key);
+  if (value === undefined && field.default !== undefined) value = structuredClone(field.default);
+  return value;
+}
+
+/** @param {unknown} value */
+const isEmpty = value => value === "" || (!isScalar(value) && !keys(value).length);
+
+/**
+ * Returns the raw string that a field's value getter reads from.
+ * @param {JSONElement} el
+ * @param {CompiledField} field
+ */
+function read(el, { key, attribute, source, fn }) {
+  const schema = unwrap(fn);
+  if (isSourceSchema(schema) && schema.source === "script") {
+    return script(el, key)?.textContent ?? null;
+  } else if (isSourceSchema(schema) || source === "text") return text(el) || null;
+  else if (source === "slot" && !isCompositeSchema(fn)) {
+    return content(el, key)?.textContent?.trim() ?? null;
+  }
+
+  return el.getAttribute(attribute);
+}
+
+/**
+ * Returns the text directly inside an element, ignoring any child elements.
+ * @param {Element} el
+ */
+function text(el) {
+  let text = "";
+  for (const node of Array.from(el.childNodes)) if (node.nodeType === 3) text += node.textContent;
+  return text.trim();
+}
+
+/**
+ * Returns the `<script type="application/json">` child holding a key's value.
+ * Scripts with a `slot` attribute matching the key take precedence over ones without.
+ * @param {Element} el
+ * @param {string} key
+ */
+function script(el, key) {
+  const scripts = Array.from(el.children).filter(
+    child => child.localName === "script" && child.getAttribute("type") === "application/json"
+  );
+
+  return scripts.find(s => s.slot === key) ?? scripts.find(s => !s.slot);
+}
+
+/**
+ * Returns the child element holding a scalar value in a slot, such as `<span slot="name">`.
+ * @param {Element} el
+ * @param {string} key
+ */
+function content(el, key) {
+  return Array.from(el.children).find(
+    child => child.slot === key && !(child instanceof JSONElement) && child.localName !== "script"
+  );
+}
+
+/**
+ * Checks whether an element groups its children by their `slot` attribute instead of assigning them to slots in a shadow root.
+ * @param {JSONElement} el
+ */
+function isLight(el) {
+  return !(/** @type {typeof JSONElement} */ (el.constructor).shadow);
+}
+
+/**
+ * Returns the `JSONElement`s assigned to one of an element's slots.
+ * @param {JSONElement} el
+ * @param {string} [name]
+ */
+function slotted(el, name = "") {
+  // virtual elements and ones in light-DOM mode don't have slots, so look at their children directly
+  if (virtuals.has(el) || isLight(el)) {
+    return Array.from(el.children).filter(
+      /** @type {(child: Element) => child is JSONElement} */
+      (child => child.slot === name && child instanceof JSONElement)
+    );
+  }
+
+  let selector = "slot";
+  if (name) selector += `[name=${name}]`;
+
+  /** @type {HTMLSlotElement | null | undefined} */
+  const slot = el.shadowRoot?.querySelector(selector);
+
+  const els = slot?.assignedElements() || [];
+  return els.filter(
+    /** @type {(el: Element) => el is JSONElement} */ (el => el instanceof JSONElement)
+  );
+}
+
+/**
+ * Returns where a schema value within a field is stored in the DOM.
+ * @param {CompiledField} field
+ * @param {SchemaInput} schema
+ * @returns {Source | Field["source"]}
+ */
+function sourceOf(field, schema) {
+  if (isSourceSchema(schema)) return schema.source;
+  else if (isCompositeSchema(schema)) return "slot";
+  else if (isScalarSchema(schema)) return field.source ?? "attribute";
+  return undefined;
+}
+
+/** How many `json` setters are running, so nested ones don't check their subtrees again */
+let writing = 0;
+
+/**
+ * Throws if writing JSON to an element, or to a new element of a class, would need to create an element
+ * whose schema doesn't name a `JSONElement` subclass.
+ * @param {JSONElement | typeof JSONElement} target
+ * @param {any} json
+ */
+function checkWrite(target, json) {
+  const el = target instanceof JSONElement ? target : undefined;
+  const fields = el ? schemaOf(el) : compileClass(/** @type {typeof JSONElement} */ (target));
+  for (const field of Object.values(fields)) checkValue(el, field, field.type, json?.[field.key]);
+}
+
+/**
+ * Throws if writing a single value would need to create an element without a class, following the same paths as `write`.
+ * @param {JSONElement | undefined} host the element being written to, or `undefined` if it would be created
+ * @param {CompiledField} field
+ * @param {SchemaInput} schema
+ * @param {any} value
+ */
+function checkValue(host, field, schema, value) {
+  const { key } = field;
+
+  if (isConstrainedSchema(schema)) checkValue(host, field, schema.schema, value);
+  else if (isRefSchema(schema)) {
+    if (!host || refId(host, field) === undefined) checkValue(host, field, schema.ref, value);
+  } else if (isEnumSchema(schema)) {
+    const match = schema.schemata.find(s => value !== undefined && accepts(s, value));
+    if (match !== undefined) checkValue(host, field, match, value);
+  } else if (isObjectSchema(schema)) {
+    if (value === undefined || value === null) return;
+    const [el] = host ? slotted(host, key) : [];
+    checkWrite(el ?? elementClass(schema, key), value);
+  } else if (isDictionarySchema(schema)) {
+    const entries = isScalar(value) || Array.isArray(value) ? [] : Object.entries(value);
+    const els = host ? byKey(slotted(host, key), schema.keyedBy) : new Map();
+    for (const [name, item] of entries) {
+      checkWrite(els.get(name) ?? elementClass(schema.item, key), item);
+    }
+  } else if (isArraySchema(schema)) {
+    const items = Array.isArray(value) ? value : [];
+    const els = host ? slotted(host, key) : [];
+    items.forEach((item, i) => checkWrite(els[i] ?? elementClass(itemSchema(schema), key), item));
+  }
+}
+
+/**
+ * Writes a single value to the DOM.
+ * @param {JSONElement} host
+ * @param {CompiledField} field
+ * @param {SchemaInput} schema
+ * @param {any} value
+ */
+function write(host, field, schema, value) {
+  const { key, attribute } = field;
+  const source = sourceOf(field, schema);
+
+  if (isConstrainedSchema(schema)) write(host, field, schema.schema, value);
+  else if (isRefSchema(schema)) {
+    // referenced values belong to another element, so they're read-only
+    if (refId(host, field) === undefined) write(host, field, schema.ref, value);
+  } else if (isEnumSchema(schema)) {
+    // clear out every schema other than the one that matches, then write the value using that one
+    const match = schema.schemata.find(s => value !== undefined && accepts(s, value));
+    for (const s of schema.schemata) if (s !== match) write(host, field, s, undefined);
+    if (match !== undefined) write(host, field, match, value);
+  } else if (source === "text") {
+    for (const node of Array.from(host.childNodes)) if (node.nodeType === 3) node.remove();
+    if (!isAbsent(value)) host.prepend(format(schema, value));
+  } else if (source === "slot" && !isCompositeSchema(schema)) {
+    let el = content(host, key);
+    if (isAbsent(value)) el?.remove();
+    else {
+      if (!el) {
+        el = document.createElement("span");
+        el.slot = key;
+        host.append(el);
+      }
+
+      el.textContent = format(schema, value);
+    }
+  } else if (source === "script") {
+    let el = script(host, key);
+    if (value === undefined) el?.remove();
+    else {
+      if (!el) {
+        el = document.createElement("script");
+        el.setAttribute("type", "application/json");
+        el.slot = key;
+        host.append(el);
+      }
+
+      el.textContent = JSON.stringify(value);
+    }
+  } else if (schema === Boolean) {
+    host.toggleAttribute(attribute, Boolean(value));
+  } else if (isScalarSchema(schema)) {
+    if (isMissing(schema, value)) host.removeAttribute(attribute);
+    else host.setAttribute(attribute, format(schema, value));
+  } else if (isObjectSchema(schema)) {
+    const [el] = slotted(host, key);
+    if (value === undefined || value === null) el?.remove();
+    else if (el) el.json = value;
+    else host.append(create(schema, key, value));
+  } else if (isDictionarySchema(schema)) {
+    const entries = isScalar(value) || Array.isArray(value) ? [] : Object.entries(value);
+    const els = byKey(slotted(host, key), schema.keyedBy);
+
+    // reuse the elements with matching keys, then create or remove the difference
+    for (const [name, item] of entries) {
+      const el = els.get(name);
+      els.delete(name);
+      if (el) el.json = item;
+
+      const target = el ?? host.appendChild(create(schema.item, key, item));
+      target.setAttribute(schema.keyedBy, name);
+    }
+
+    for (const el of els.values()) el.remove();
+  } else if (isArraySchema(schema)) {
+    const items = Array.isArray(value) ? value : [];
+    const els = slotted(host, key);
+
+    // reuse existing elements where possible, then create or remove the difference
+    items.forEach((item, i) => {
+      const el = els[i];
+      if (el) el.json = item;
+      else host.append(create(itemSchema(schema), key, item));
+    });
+    for (const el of els.slice(items.length)) el.remove();
+  }
+}
+
+/**
+ * Whether a value should be written as a missing attribute. JSON attributes can hold `null`, so only `undefined` counts for them.
+ * @param {SchemaInput} schema
+ * @param {unknown} value
+ */
+const isMissing = (schema, value) => value === undefined || (value === null && schema !== JSON);
+
+/**
+ * Whether a value should be written to text as nothing at all; `false` is included so that booleans read back correctly.
+ * @param {unknown} value
+ */
+const isAbsent = value => value === undefined || value === null || value === false;
+
+/**
+ * Returns the schema used to create new items in an array.
+ * @param {SchemaInput} schema
+ */
+const itemSchema = schema => (Array.isArray(schema) ? schema[0] : schema);
+
+/**
+ * Returns the class of element to create for a key, throwing if the schema doesn't name one.
+ * @param {SchemaInput | undefined} schema
+ * @param {string} slot
+ */
+function elementClass(schema, slot) {
+  const Class = /** @type {typeof JSONElement} */ (schema);
+  if (!(Class?.prototype instanceof JSONElement)) {
+    throw new Error(`Can't create an element for "${slot}" without a JSONElement subclass`);
+  }
+
+  return Class;
+}
+
+/**
+ * Creates a new slotted element for a key.
+ * @param {SchemaInput | undefined} schema
+ * @param {string} slot
+ * @param {any} json
+ */
+function create(schema, slot, json) {
+  const Class = elementClass(schema, slot);
+
+  const el = construct(Class);
+  if (!(el instanceof JSONElement)) throw new Error(`<${Class.tag}> isn't registered`);
+
+  el.slot = slot;
+  el.json = json;
+  return el;
+}
+
+/**
+ * Creates an element of a class, which may be defined in the global registry or a scoped one.
+ * @param {typeof JSONElement} Class
+ * @returns {Element | undefined}
+ */
+function construct(Class) {
+  if (customElements.get(Class.tag) === Class) return document.createElement(Class.tag);
+
+  // classes defined in scoped registries can't be created by tag from the document, but their constructors work
+  try {
+    return new Class();
+  } catch {
+    return;
+  }
+}
+
+/** @param {any} obj */
+function keys(obj) {
+  if (Array.isArray(obj)) return new Array(obj.length).fill(0).map((_, i) => "" + i);
+  return Object.keys(obj);
+}
+
+/**
+ * @param {string} path
+ * @param {string} prop
+ */
+function append(path, prop) {
+  return path + "/" + prop.replace(/~/g, "~0").replace(/\//g, "~1");
+}
+
+/**
+ * Whether a value has no children to diff or patch. Dates are compared by value, so they count as scalars.
+ * @param {any} x
+ */
+function isScalar(x) {
+  return typeof x !== "object" || x === null || x instanceof Date;
+}
+
+/**
+ * @param {any} prev
+ * @param {any} next
  * @param {string} [path]
+ * @param {DiffOptions} [options]
+ * @returns {Patch[]}
+ */
+function diff(prev, next, path = "", options = {}) {
+  // if prev and next are strictly equal, don't bother checking further
+  if (prev === next) return [];
+
+  // if at least one value is a scalar, replace it unless they're equal
+  if (isScalar(prev) || isScalar(next)) {
+    return equal(prev, next) ? [] : [{ op: "replace", path, value: next }];
+  }
+
+  // if both values are arrays, match up their items rather than comparing index by index
+  if (options.keyed && Array.isArray(prev) && Array.isArray(next)) {
+    return diffKeyed(prev, next, path, options);
+  }
+
+  /** @type {Patch[]} */
+  const patches = [];
+
+  // check for additions and changes
+  for (const prop of keys(next)) {
+    const newPath = append(path, prop);
+
+    // if the key wasn't present in prev, add it
+    if (typeof prev[prop] === "undefined") {
+      patches.push({ op: "add", path: newPath, value: next[prop] });
+    }
+
+    // …otherwise, if both prev and next are objects or arrays, recurse into them and add any nested patches
+    else if (typeof next[prop] === "object" && typeof prev[prop] === "object") {
+      patches.push(...diff(prev[prop], next[prop], newPath, options));
+    }
+
+    // …otherwise, if the values aren't equal, replace them
+    else if (!equal(prev[prop], next[prop])) {
+      patches.push({ op: "replace", path: newPath, value: next[prop] });
+    }
+  }
+
+  // check for deletions
+  for (const prop of keys(prev)) {
+    // if the key isn't present in next, remove it
+    if (typeof next[prop] === "undefined") {
+      patches.push({ op: "remove", path: append(path, prop) });
+    }
+  }
+
+  return patches;
+}
+
+/**
+ * Diffs two arrays by matching up items with the same key (or, failing that, the same identity).
+ * Items that keep their relative order stay put, so only the items that actually moved produce `move` operations.
+ * @param {any[]} prev
+ * @param {any[]} next
+ * @param {string} path
+ * @param {DiffOptions} options
  * @returns {Patch[]}
  */
-function diff(prev, next, path = "") {
-  // if prev and next are strictly equal, don't bother checking further
-  if (prev === next) return [];
+function diffKeyed(prev, next, path, options) {
+  /** @type {Map<unknown, object>} */
+  const ids = new Map();
+
+  /** @param {any} item */
+  const identify = item => {
+    if (options.key === undefined || isScalar(item) || item[options.key] === undefined) return item;
+
+    // wrap keys in objects so they can't collide with scalar items
+    const key = item[options.key];
+    if (!ids.has(key)) ids.set(key, {});
+    return ids.get(key);
+  };
+
+  /** @type {Patch[]} */
+  const patches = [];
+
+  // count how many times each identity appears in the next array
+  /** @type {Map<unknown, number>} */
+  const needed = new Map();
+  for (const item of next) {
+    const id = identify(item);
+    needed.set(id, (needed.get(id) ?? 0) + 1);
+  }
+
+  // keep the items that are still needed and remove the rest, starting from the end so indices stay valid
+  /** @type {{ id: unknown, value: any, index: number }[]} */
+  const items = [];
+  /** @type {number[]} */
+  const removed = [];
+  prev.forEach((value, index) => {
+    const id = identify(value);
+    const count = needed.get(id) ?? 0;
+    if (count) {
+      needed.set(id, count - 1);
+      items.push({ id, value, index: items.length });
+    } else removed.push(index);
+  });
+
+  for (const index of removed.reverse())
+    patches.push({ op: "remove", path: append(path, "" + index) });
+
+  // match each item in next with the first remaining item with the same identity
+  /** @type {Map<unknown, typeof items>} */
+  const queues = new Map();
+  for (const item of items) {
+    if (!queues.has(item.id)) queues.set(item.id, []);
+    queues.get(item.id)?.push(item);
+  }
+  const matches = next.map(value => queues.get(identify(value))?.shift());
+
+  // items in the longest run that's already in order don't need to move
+  const stable = new Set(lis(matches.flatMap(match => (match ? [match.index] : []))));
+
+  // walk through next, placing each item immediately after the one before it
+  const order = [...items];
+  /** @type {typeof items} */
+  const placed = [];
+  const after = () => (placed.length ? order.indexOf(/** @type {any} */ (placed.at(-1))) + 1 : 0);
+
+  next.forEach((value, i) => {
+    let match = matches[i];
+
+    if (!match) {
+      match = { id: identify(value), value, index: -1 };
+      const to = after();
+      order.splice(to, 0, match);
+      patches.push({ op: "add", path: append(path, "" + to), value });
+    } else {
+      if (!stable.has(match.index)) {
+        const from = order.indexOf(match);
+        order.splice(from, 1);
+        const to = after();
+        order.splice(to, 0, match);
+        if (from !== to) {
+          patches.push({ op: "move", from: append(path, "" + from), path: append(path, "" + to) });
+        }
+      }
+
+      patches.push(...diff(match.value, value, append(path, "" + order.indexOf(match)), options));
+    }
+
+    placed.push(match);
+  });
+
+  return patches;
+}
+
+/**
+ * Returns the longest increasing subsequence of an array of numbers.
+ * @param {number[]} nums
+ */
+function lis(nums) {
+  /** @type {number[]} indices into `nums` of the smallest tail of each subsequence length */
+  const tails = [];
+  /** @type {number[]} */
+  const prev = [];
+
+  nums.forEach((num, i) => {
+    let lo = 0;
+    let hi = tails.length;
+    while (lo < hi) {
+      const mid = (lo + hi) >> 1;
+      if (/** @type {number} */ (nums[/** @type {number} */ (tails[mid])]) < num) lo = mid + 1;
+      else hi = mid;
+    }
+
+    prev[i] = /** @type {number} */ (tails[lo - 1]);
+    tails[lo] = i;
+  });
+
+  /** @type {number[]} */
+  const result = [];
+  for (let i = tails.at(-1); i !== undefined; i = prev[i])
+    result.unshift(/** @type {number} */ (nums[i]));
+  return result;
+}
+
+/** Enable elements to include JSON Patch operations in `json-change` event details. */
+export function enableDiff() {
+  JSONElement.diff = diff;
+}
+
+/**
+ * Splits a JSON Pointer into its unescaped reference tokens.
+ * @param {string} pointer
+ */
+function parse(pointer) {
+  if (pointer === "") return [];
+  if (!pointer.startsWith("/")) throw new Error(`Invalid JSON Pointer "${pointer}"`);
+
+  return pointer
+    .slice(1)
+    .split("/")
+    .map(token => token.replace(/~1/g, "/").replace(/~0/g, "~"));
+}
+
+/**
+ * @param {any} a
+ * @param {any} b
+ * @returns {boolean}
+ */
+function equal(a, b) {
+  if (a === b) return true;
+  if (a instanceof Date && b instanceof Date) return a.getTime() === b.getTime();
+  if (isScalar(a) || isScalar(b)) return false;
+  if (Array.isArray(a) !== Array.isArray(b)) return false;
+
+  const props = keys(a);
+  if (props.length !== keys(b).length) return false;
+  return props.every(prop => prop in b && equal(a[prop], b[prop]));
+}
+
+/**
+ * Converts an array reference token into an index, throwing if it's out of bounds.
+ * @param {any[]} arr
+ * @param {string} token
+ * @param {boolean} [adding] whether the index may point one past the end of the array
+ */
+function index(arr, token, adding = false) {
+  if (adding && token === "-") return arr.length;
+
+  const i = Number(token);
+  const max = adding ? arr.length : arr.length - 1;
+  if (!/^(0|[1-9]\d*)$/.test(token) || i > max) throw new Error(`Invalid array index "${token}"`);
+
+  return i;
+}
+
+/**
+ * @param {any} json
+ * @param {string[]} tokens
+ */
+function get(json, tokens) {
+  let value = json;
+  for (const token of tokens) {
+    if (isScalar(value)) throw new Error(`Path /${tokens.join("/")} does not exist`);
+    else if (Array.isArray(value)) value = value[index(value, token)];
+    else if (Object.hasOwn(value, token)) value = value[token];
+    else throw new Error(`Path /${tokens.join("/")} does not exist`);
+  }
+
+  return value;
+}
+
+/**
+ * Applies a single JSON Patch operation to a mutable JSON value, returning the new value.
+ * @param {any} json
+ * @param {Patch} patch
+ * @returns {any}
+ */
+function operate(json, patch) {
+  const tokens = parse(patch.path);
+
+  switch (patch.op) {
+    case "test": {
+      if (!equal(get(json, tokens), patch.value)) throw new Error(`Test failed at ${patch.path}`);
+      return json;
+    }
+
+    case "move":
+    case "copy": {
+      const from = parse(patch.from ?? "");
+      let value = get(json, from);
+      if (patch.op === "copy") value = structuredClone(value);
+      else if (patch.path.startsWith(patch.from + "/")) {
+        throw new Error(`Can't move ${patch.from} into one of its children`);
+      } else json = operate(json, { op: "remove", path: /** @type {string} */ (patch.from) });
+
+      return operate(json, { op: "add", path: patch.path, value });
+    }
+  }
+
+  if (!tokens.length) return patch.op === "remove" ? undefined : structuredClone(patch.value);
+
+  const last = /** @type {string} */ (tokens.pop());
+  const parent = get(json, tokens);
+  if (isScalar(parent)) throw new Error(`Path ${patch.path} does not exist`);
+
+  if (Array.isArray(parent)) {
+    const i = index(parent, last, patch.op === "add");
+    if (patch.op === "add") parent.splice(i, 0, structuredClone(patch.value));
+    else if (patch.op === "replace") parent[i] = structuredClone(patch.value);
+    else parent.splice(i, 1);
+  } else {
+    if (patch.op !== "add" && !Object.hasOwn(parent, last)) {
+      throw new Error(`Path ${patch.path} does not exist`);
+    }
+
+    if (patch.op === "remove") delete parent[last];
+    else parent[last] = structuredClone(patch.value);
+  }
+
+  return json;
+}
+
+/**
+ * Applies an array of JSON Patch operations to a copy of a JSON value.
+ * Throws if any operation fails, leaving the original value untouched.
+ * @param {any} json
+ * @param {Patch[]} patches
+ */
+function patch(json, patches) {
+  return patches.reduce(operate, structuredClone(json));
+}
 
-  // if at least one value is a scalar, replace it
-  if (isScalar(prev) || isScalar(next)) return [{ op: "replace", path, value: next }];
+/**
+ * @typedef {object} Location
+ * The element and key that a JSON Pointer refers to.
+ *
+ * @property {JSONElement} el
+ * @property {string} key
+ * @property {string} [item] the index of an item within an array slot
+ * @property {string[]} rest any remaining tokens within the value at `key`
+ */
 
-  /** @type {Patch[]} */
-  const patches = [];
+/**
+ * Follows a JSON Pointer through slotted children as far as the DOM allows.
+ * @param {JSONElement} el
+ * @param {string[]} tokens
+ * @returns {Location | undefined}
+ */
+function locate(el, [key, ...rest]) {
+  if (key === undefined) return;
 
-  // check for additions and changes
-  for (const prop of keys(next)) {
-    const newPath = append(path, prop);
+  const field = schemaOf(el)[key];
+  if (!field) return { el, key, rest };
 
-    // if the key wasn't present in prev, add it
-    if (typeof prev[prop] === "undefined") {
-      patches.push({ op: "add", path: newPath, value: next[prop] });
+  let schema = unwrap(field.type);
+  if (isRefSchema(schema) && refId(el, field) === undefined) schema = schema.ref;
+
+  if (isObjectSchema(schema) && rest.length) {
+    const [child] = slotted(el, key);
+    if (child) return locate(child, rest);
+  } else if (isArraySchema(schema) && rest.length) {
+    const [item = "", ...tokens] = rest;
+    if (!tokens.length) return { el, key, item, rest: [] };
+
+    const child = slotted(el, key)[Number(item)];
+    if (child) return locate(child, tokens);
+  } else if (isDictionarySchema(schema) && rest.length > 1) {
+    const [name = "", ...tokens] = rest;
+    const child = byKey(slotted(el, key), schema.keyedBy).get(name);
+    if (child) return locate(child, tokens);
+  }
+
+  return { el, key, rest };
+}
+
+/**
+ * Applies a single JSON Patch operation to an element's DOM.
+ * @param {JSONElement} root
+ * @param {Patch} op
+ */
+function mutate(root, op) {
+  const tokens = parse(op.path);
+  const location = locate(root, tokens);
+  if (!location) {
+    // the pointer refers to the root itself
+    if (op.op === "move" || op.op === "copy") root.json = patch(root.json, [op]);
+    else if (op.op !== "test") root.json = op.op === "remove" ? undefined : op.value;
+    return;
+  }
+
+  if (op.op === "test") return;
+  else if (op.op === "move" || op.op === "copy") {
+    const from = locate(root, parse(op.from ?? ""));
+
+    // move slotted elements around rather than recreating them
+    if (op.op === "move" && from?.item !== undefined && !from.rest.length) {
+      const el = slotted(from.el, from.key)[Number(from.item)];
+      if (el && location.item !== undefined && !location.rest.length) {
+        el.remove();
+        el.slot = location.key;
+        insert(location.el, location.key, location.item, el);
+        return;
+      }
     }
 
-    // …otherwise, if both prev and next are objects or arrays, recurse into them and add any nested patches
-    else if (typeof next[prop] === "object" && typeof prev[prop] === "object") {
-      patches.push(...diff(prev[prop], next[prop], newPath));
+    const value = get(root.json, parse(op.from ?? ""));
+    if (op.op === "move") mutate(root, { op: "remove", path: /** @type {string} */ (op.from) });
+    mutate(root, { op: "add", path: op.path, value });
+    return;
+  }
+
+  const { el, key, item, rest } = location;
+  const field = schemaOf(el)[key];
+
+  // if the pointer goes deeper than the DOM does, patch the value and write it back
+  if (!field || rest.length) {
+    const path = [key, ...(item === undefined ? [] : [item]), ...rest].reduce(append, "");
+    const json = patch(el.json, [{ ...op, path }]);
+    if (!field) el.json = json;
+    else write(el, field, unwrap(field.type), json[key]);
+    return;
+  }
+
+  const schema = unwrap(field.type);
+
+  // if the pointer refers to an item in an array slot, insert, replace or remove that element
+  if (item !== undefined) {
+    if (op.op === "add") insert(el, key, item, create(itemSchema(schema), key, op.value));
+    else {
+      const child = slotted(el, key)[Number(item)];
+      if (op.op === "replace" && child) child.json = op.value;
+      else child?.remove();
     }
+  }
 
-    // …otherwise, if the values aren't equal, replace them
-    else if (prev[prop] !== next[prop]) {
-      patches.push({ op: "replace", path: newPath, value: next[prop] });
+  // otherwise, write the value directly
+  else write(el, field, schema, op.op === "remove" ? undefined : op.value);
+}
+
+/**
+ * Inserts an element into an array slot at the given index.
+ * @param {JSONElement} host
+ * @param {string} key
+ * @param {string} item
+ * @param {JSONElement} el
+ */
+function insert(host, key, item, el) {
+  const next = item === "-" ? undefined : slotted(host, key)[Number(item)];
+  if (next) next.before(el);
+  else host.append(el);
+}
+
+/**
+ * Applies JSON Patch operations to an element, updating its attributes and slotted children.
+ * If any operation fails (including a `test` operation), none of them are applied.
+ * @param {JSONElement} el
+ * @param {Patch[]} patches
+ */
+export function applyPatch(el, patches) {
+  // do a dry run against a copy of the JSON first, so the DOM is only touched if every operation succeeds
+  const json = el.json;
+  checkWrite(el, patch(json, patches));
+
+  // an operation in between can still need an element that can't be created, so put everything back if one fails
+  try {
+    for (const op of patches) mutate(el, op);
+  } catch (error) {
+    el.json = json;
+    throw error;
+  }
+}
+
+/**
+ * Streams an element's JSON over a port: a snapshot to start with, then patches for every `json-change` event.
+ * Every message has a sequence number, and replicas that miss one ask for a new snapshot.
+ * @param {JSONElement} el
+ * @param {Port} port
+ * @returns {() => void} a function that stops mirroring
+ */
+export function mirror(el, port) {
+  let seq = 0;
+  let prev = el.json;
+
+  /** @param {MirrorMessage} message */
+  const post = message => port.postMessage(message);
+  const snapshot = () => post({ type: "json-snapshot", seq: ++seq, json: (prev = el.json) });
+
+  /** @param {Event} ev */
+  const changed = ev => {
+    if (ev.target !== el) return;
+
+    const json = el.json;
+    const keyed = el.getAttribute("diff") === "keyed";
+    const key = el.getAttribute("diff-key") ?? undefined;
+    const patches = diff(prev, json, "", { keyed, key });
+    prev = json;
+    if (patches.length) post({ type: "json-patch", seq: ++seq, patches });
+  };
+
+  /** @param {MessageEvent} ev */
+  const received = ev => {
+    if (ev.data?.type === "json-resync") snapshot();
+  };
+
+  el.addEventListener("json-change", changed);
+  port.addEventListener("message", received);
+  port.start?.();
+  snapshot();
+
+  return () => {
+    el.removeEventListener("json-change", changed);
+    port.removeEventListener("message", received);
+  };
+}
+
+/**
+ * Keeps a copy of a mirrored element's JSON up to date with the messages arriving on a port.
+ * If a message is missing or a patch can't be applied, the replica asks for a new snapshot and waits for it.
+ * @param {Port} port
+ * @param {(json: any, patches?: Patch[]) => void} [onChange] called after every change, with patches unless it was a snapshot
+ * @returns {Replica}
+ */
+export function replicate(port, onChange = () => {}) {
+  /** Whether a snapshot has been asked for and hasn't arrived yet */
+  let waiting = false;
+
+  const resync = () => {
+    if (waiting) return;
+
+    waiting = true;
+    /** @type {MirrorMessage} */
+    const message = { type: "json-resync" };
+    port.postMessage(message);
+  };
+
+  /** @param {MessageEvent<MirrorMessage>} ev */
+  const received = ev => {
+    const message = ev.data;
+    if (message?.type === "json-snapshot") {
+      // a snapshot that arrives late is older than what the replica already has, unless one was asked for,
+      // since a mirror that restarted numbers its messages from the start again
+      if (!waiting && message.seq <= replica.seq) return;
+
+      waiting = false;
+      replica.seq = message.seq;
+      replica.json = message.json;
+      onChange(replica.json);
+    } else if (message?.type === "json-patch") {
+      if (waiting) return;
+      else if (replica.seq === -1 || message.seq !== replica.seq + 1) return resync();
+
+      try {
+        replica.json = patch(replica.json, message.patches);
+      } catch {
+        return resync();
+      }
+
+      replica.seq = message.seq;
+      onChange(replica.json, message.patches);
     }
+  };
+
+  /** @type {Replica} */
+  const replica = {
+    json: undefined,
+    seq: -1,
+    close: () => port.removeEventListener("message", received)
+  };
+
+  port.addEventListener("message", received);
+  port.start?.();
+
+  // the element may have already sent its first snapshot
+  resync();
+  return replica;
+}
+
+/**
+ * Whether a schema value always produces a value.
+ * @param {SchemaInput} schema
+ * @returns {boolean}
+ */
+function isRequiredSchema(schema) {
+  if (isLiteralSchema(schema) || schema === Boolean || isArraySchema(schema)) return true;
+  else if (isDictionarySchema(schema)) return true;
+  else if (isEnumSchema(schema)) return schema.schemata.some(isRequiredSchema);
+  else if (isConstrainedSchema(schema)) {
+    return Boolean(schema.constraints.required) || isRequiredSchema(schema.schema);
+  } else if (isSourceSchema(schema) && schema.schema !== undefined) {
+    return isRequiredSchema(schema.schema);
   }
 
-  // check for deletions
-  for (const prop of keys(prev)) {
-    // if the key isn't present in next, remove it
-    if (typeof next[prop] === "undefined") {
-      patches.push({ op: "remove", path: append(path, prop) });
+  return false;
+}
+
+/**
+ * Generates a JSON Schema (draft 2020-12) document describing the JSON produced by a `JSONElement` subclass.
+ * Any nested subclasses are emitted as `$defs`. Overridden `json` getters can't be introspected, so only the `schema` is used.
+ * @param {typeof JSONElement} Root
+ * @returns {Record<string, any>}
+ */
+export function toJSONSchema(Root) {
+  /** @type {Record<string, Record<string, any>>} */
+  const defs = {};
+
+  /** @type {Map<typeof JSONElement, string>} */
+  const refs = new Map([[Root, "#"]]);
+
+  /** @param {typeof JSONElement} Class */
+  const ref = Class => {
+    let ref = refs.get(Class);
+    if (ref) return ref;
+
+    // name definitions after their classes, making sure that identically-named classes don't collide
+    const base = Class.name || Class.tag;
+    let name = base;
+    for (let i = 2; name in defs; i++) name = base + i;
+
+    ref = `#/$defs/${name}`;
+    refs.set(Class, ref);
+    defs[name] = {};
+    defs[name] = object(Class);
+    return ref;
+  };
+
+  /**
+   * @param {typeof JSONElement} Class
+   * @returns {Record<string, any>}
+   */
+  const object = Class => {
+    /** @type {Record<string, any>} */
+    const properties = {};
+    const required = [];
+
+    for (const { key, type, default: value, empty } of Object.values(compileClass(Class))) {
+      properties[key] = convert(type);
+      if (value !== undefined) properties[key].default = value;
+
+      // keys that omit empty values can be left out even if their type always produces a value
+      if (value !== undefined || (empty !== "omit" && isRequiredSchema(type))) required.push(key);
+    }
+
+    return { type: "object", properties, ...(required.length && { required }) };
+  };
+
+  /**
+   * @param {SchemaInput} schema
+   * @returns {Record<string, any>}
+   */
+  const convert = schema => {
+    if (isLiteralSchema(schema)) return { const: schema };
+    else if (schema === Boolean) return { type: "boolean" };
+    else if (schema === Number) return { type: "number" };
+    else if (schema === String) return { type: "string" };
+    else if (schema === Date) return { type: "string", format: "date-time" };
+    else if (schema === BigInt) return { type: "integer" };
+    else if (isListSchema(schema)) return { type: "array", items: convert(schema.item) };
+    else if (isDictionarySchema(schema)) {
+      return { type: "object", additionalProperties: convert(schema.item) };
+    } else if (schema === Object) return { type: "object" };
+    else if (isObjectSchema(schema))
+      return { $ref: ref(/** @type {typeof JSONElement} */ (schema)) };
+    else if (schema === Array) return { type: "array" };
+    else if (Array.isArray(schema)) {
+      const items = schema.map(convert);
+      return { type: "array", items: items.length === 1 ? items[0] : { anyOf: items } };
+    } else if (isEnumSchema(schema)) return { anyOf: schema.schemata.map(convert) };
+    else if (isRefSchema(schema)) return convert(schema.ref);
+    else if (isConstrainedSchema(schema)) {
+      const { min, max, pattern, minItems, maxItems } = schema.constraints;
+
+      /** @type {Record<string, any>} */
+      const result = convert(schema.schema);
+      if (min !== undefined) result.minimum = min;
+      if (max !== undefined) result.maximum = max;
+      if (typeof pattern === "string") result.pattern = `^(?:${pattern})$`;
+      else if (pattern) result.pattern = pattern.source;
+      if (schema.constraints.enum) result.enum = schema.constraints.enum;
+      if (minItems !== undefined) result.minItems = minItems;
+      if (maxItems !== undefined) result.maxItems = maxItems;
+      return result;
+    } else if (isSourceSchema(schema) && schema.schema !== undefined) return convert(schema.schema);
+
+    // custom functions can return anything
+    return {};
+  };
+
+  const root = object(Root);
+  return {
+    $schema: "https://json-schema.org/draft/2020-12/schema",
+    ...root,
+    ...(Object.keys(defs).length && { $defs: defs })
+  };
+}
+
+/**
+ * @typedef {object} FromJSONSchemaOptions
+ * @property {string} [name] The name of the root class, if the document describes an object; defaults to its `title`
+ * @property {string} [prefix] A prefix for the generated tag names
+ * @property {boolean} [register] Whether to register the generated classes; defaults to `true`
+ */
+
+/**
+ * Converts a definition name into a valid custom element tag name.
+ * @param {string} name
+ * @param {string} [prefix]
+ */
+function tagName(name, prefix) {
+  const tag = [prefix, name]
+    .filter(Boolean)
+    .join("-")
+    .replace(/([a-z0-9])([A-Z])/g, "$1-$2")
+    .replace(/[^a-zA-Z0-9]+/g, "-")
+    .replace(/^-|-$/g, "")
+    .toLowerCase();
+
+  // custom element names need to start with a letter and contain a hyphen
+  return /^[a-z].*-/.test(tag) ? tag : `json-${tag}`;
+}
+
+/**
+ * Defines `JSONElement` subclasses matching the object definitions in a JSON Schema document.
+ * Returns the classes keyed by definition name, with the root class (if any) keyed by `options.name`.
+ * @param {Record<string, any>} doc
+ * @param {FromJSONSchemaOptions} [options]
+ * @returns {Record<string, typeof JSONElement>}
+ */
+export function fromJSONSchema(doc, options = {}) {
+  const { prefix, register = true } = options;
+  const defs = doc.$defs ?? doc.definitions ?? {};
+  const root = options.name ?? doc.title ?? "Root";
+
+  /** @type {Record<string, typeof JSONElement>} */
+  const classes = {};
+
+  /** @param {Record<string, any>} def */
+  const isObject = def =>
+    def.type === "object" || (def.type === undefined && def.properties !== undefined);
+
+  /**
+   * Resolves a local `$ref` to its name and definition.
+   * @param {string} ref
+   * @returns {[name: string, def: Record<string, any>]}
+   */
+  const resolve = ref => {
+    if (ref === "#") return [root, doc];
+
+    const [, name] = ref.match(/^#\/(?:\$defs|definitions)\/(.+)$/) ?? [];
+    const def = name === undefined ? undefined : defs[name.replace(/~1/g, "/").replace(/~0/g, "~")];
+    if (!name || !def) throw new Error(`Can't resolve $ref "${ref}"`);
+    return [name, def];
+  };
+
+  /**
+   * Defines a class for an object definition, reusing it if it's already been defined.
+   * @param {string} name
+   * @param {Record<string, any>} def
+   * @returns {typeof JSONElement}
+   */
+  const define = (name, def) => {
+    const existing = classes[name];
+    if (existing) return existing;
+
+    /** @type {Record<string, any> | undefined} */
+    let schema;
+
+    // the schema is converted in a getter, so that definitions can refer to each other
+    const Class = class extends JSONElement {
+      static tag = tagName(name, prefix);
+
+      static get schema() {
+        return (schema ??= properties(name, def));
+      }
+    };
+
+    Object.defineProperty(Class, "name", { value: name });
+    classes[name] = Class;
+
+    // convert the schema right away, so any inline object definitions are defined too
+    Class.schema;
+    if (register) Class.register();
+    return Class;
+  };
+
+  /**
+   * @param {string} name
+   * @param {Record<string, any>} def
+   */
+  const properties = (name, def) => {
+    /** @type {string[]} */
+    const required = def.required ?? [];
+
+    /** @type {Record<string, any>} */
+    const schema = {};
+    for (const [key, prop] of Object.entries(def.properties ?? {})) {
+      const value = convert(prop, `${name}-${key}`);
+      if (value === undefined) continue;
+
+      const type = required.includes(key) ? constrain(value, { required: true }) : value;
+      schema[key] = prop.default === undefined ? type : { type, default: prop.default };
+    }
+
+    return schema;
+  };
+
+  /**
+   * Adds constraints to a schema value, merging them with any it already has.
+   * @param {SchemaInput} schema
+   * @param {Constraints} constraints
+   */
+  const constrain = (schema, constraints) => {
+    if (!Object.keys(constraints).length) return schema;
+    if (!isConstrainedSchema(schema)) return Constrained(schema, constraints);
+    return Constrained(schema.schema, { ...schema.constraints, ...constraints });
+  };
+
+  /**
+   * Converts a property's JSON Schema into a schema value.
+   * @param {Record<string, any>} prop
+   * @param {string} name the name to give an inline object definition
+   * @returns {SchemaInput | undefined} the schema value, or `undefined` if it can't be read from the DOM
+   */
+  const convert = (prop, name) => {
+    if (prop.$ref) {
+      const [name, def] = resolve(prop.$ref);
+      return isObject(def) ? define(name, def) : convert(def, name);
+    }
+
+    if ("const" in prop) return isScalar(prop.const) ? prop.const : () => prop.const;
+
+    /** @type {Constraints} */
+    const constraints = {};
+    if (prop.minimum !== undefined) constraints.min = prop.minimum;
+    if (prop.maximum !== undefined) constraints.max = prop.maximum;
+    if (prop.pattern !== undefined) constraints.pattern = new RegExp(prop.pattern, "u");
+    if (prop.enum !== undefined) constraints.enum = prop.enum;
+    if (prop.minItems !== undefined) constraints.minItems = prop.minItems;
+    if (prop.maxItems !== undefined) constraints.maxItems = prop.maxItems;
+
+    /** @type {Record<string, any>[] | undefined} */
+    const options = prop.anyOf ?? prop.oneOf;
+    if (options) {
+      const schemata = options.map(option => convert(option, name)).filter(s => s !== undefined);
+      return schemata.length ? constrain(Enum(...schemata), constraints) : undefined;
+    }
+
+    // prefer non-null types, and if there's no type at all, infer it from the enum
+    /** @type {string[]} */
+    const types = [prop.type ?? []].flat();
+    const type = types.find(type => type !== "null") ?? types[0] ?? typeof prop.enum?.[0];
+    switch (type) {
+      case "boolean":
+        return constrain(Boolean, constraints);
+      case "number":
+      case "integer":
+        return constrain(Number, constraints);
+      case "string":
+        return constrain(prop.format?.startsWith("date") ? Date : String, constraints);
+      case "object": {
+        if (prop.properties) return constrain(define(name, prop), constraints);
+
+        // maps of objects become dictionaries of elements, keyed by their `key` attribute
+        const values = isScalar(prop.additionalProperties)
+          ? undefined
+          : convert(prop.additionalProperties, `${name}-value`);
+        const dictionary = values !== undefined && isObjectSchema(values) && values !== Object;
+        return constrain(dictionary ? Dictionary("key", values) : Object, constraints);
+      }
+      case "array": {
+        const items = prop.items?.anyOf ?? prop.items?.oneOf ?? (prop.items ? [prop.items] : []);
+        const schemata = items.map((/** @type {any} */ item) => convert(item, `${name}-item`));
+        // arrays of elements go in slots, but anything else has to be read from a JSON attribute
+        const array = !schemata.length ? Array : schemata.every(isObjectSchema) ? schemata : JSON;
+        return constrain(array, constraints);
+      }
+
+      case "null":
+        return null;
+    }
+
+    return undefined;
+  };
+
+  for (const [name, def] of Object.entries(defs)) if (isObject(def)) define(name, def);
+  if (isObject(doc)) define(root, doc);
+
+  return classes;
+}
+
+/** @type {WeakSet<JSONElement>} `JSONElement` instances that stand in for parsed markup rather than DOM elements */
+const virtuals = new WeakSet();
+
+const VOID_ELEMENTS = new Set([
+  "area",
+  "base",
+  "br",
+  "col",
+  "embed",
+  "hr",
+  "img",
+  "input",
+  "link",
+  "meta",
+  "source",
+  "track",
+  "wbr"
+]);
+
+const RAW_TEXT_ELEMENTS = new Set(["script", "style", "textarea", "title"]);
+
+/** @type {Record<string, string>} */
+const ENTITIES = { amp: "&", lt: "<", gt: ">", quot: '"', apos: "'", nbsp: "\u00a0" };
+
+/**
+ * Decodes character references in text or attribute values.
+ * @param {string} text
+ */
+function decode(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (ref, name) => {
+    if (name[1] === "x" || name[1] === "X")
+      return String.fromCodePoint(parseInt(name.slice(2), 16));
+    else if (name[0] === "#") return String.fromCodePoint(Number(name.slice(1)));
+    return ENTITIES[name.toLowerCase()] ?? ref;
+  });
+}
+
+/**
+ * Creates a stand-in for a DOM element, with just enough of its interface for schemas to read from.
+ * If the tag belongs to a `JSONElement` subclass, the stand-in is an instance of that class.
+ * @param {string} localName
+ * @param {Map<string, string>} attributes
+ * @param {typeof JSONElement} [Class]
+ * @param {any} [parent]
+ * @returns {any}
+ */
+function virtualize(localName, attributes, Class, parent = null) {
+  /** @type {any[]} */
+  const childNodes = [];
+
+  const el = Object.create(Class?.prototype ?? Object.prototype, {
+    nodeType: { value: 1 },
+    localName: { value: localName },
+    parentElement: { value: parent },
+    childNodes: { value: childNodes },
+    children: { get: () => childNodes.filter(node => node.nodeType === 1) },
+    textContent: { get: () => childNodes.map(node => node.textContent).join("") },
+    slot: { get: () => attributes.get("slot") ?? "" },
+    getAttribute: {
+      value: (/** @type {string} */ name) => attributes.get(name.toLowerCase()) ?? null
+    },
+    hasAttribute: { value: (/** @type {string} */ name) => attributes.has(name.toLowerCase()) }
+  });
+
+  if (Class) virtuals.add(el);
+  return el;
+}
+
+/**
+ * Parses HTML into a tree of virtual elements.
+ * This doesn't implement the full HTML parsing algorithm, but it handles the markup that `JSONElement` trees are written in.
+ * @param {string} html
+ * @param {Map<string, typeof JSONElement>} classes the classes to instantiate, keyed by tag
+ */
+function parseHTML(html, classes) {
+  const root = virtualize("#document-fragment", new Map());
+  const stack = [root];
+
+  const COMMENT = /<!--[\s\S]*?(?:-->|$)|<![^>]*>|<\?[^>]*>/y;
+  const END_TAG = /<\/([a-zA-Z][^\s/>]*)[^>]*>/y;
+  const START_TAG = /<([a-zA-Z][^\s/>]*)/y;
+  const ATTRIBUTE = /\s*([^\s"'>/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+)))?/y;
+  const START_TAG_END = /[\s/]*>/y;
+
+  /** @param {string} text */
+  const addText = text => {
+    if (text) stack[stack.length - 1].childNodes.push({ nodeType: 3, textContent: decode(text) });
+  };
+
+  let i = 0;
+
+  /**
+   * Tries to match a sticky regex at the current position, advancing past it if it matches.
+   * @param {RegExp} regex
+   */
+  const match = regex => {
+    regex.lastIndex = i;
+    const result = regex.exec(html);
+    if (result) i = regex.lastIndex;
+    return result;
+  };
+
+  while (i < html.length) {
+    const next = html.indexOf("<", i);
+    if (next === -1) {
+      addText(html.slice(i));
+      break;
+    }
+
+    addText(html.slice(i, next));
+    i = next;
+
+    if (match(COMMENT)) continue;
+
+    const end = match(END_TAG);
+    if (end) {
+      // close the nearest open element with the same name, along with any unclosed elements inside it
+      const name = /** @type {string} */ (end[1]).toLowerCase();
+      const index = stack.findLastIndex(el => el.localName === name);
+      if (index > 0) stack.length = index;
+      continue;
     }
+
+    const start = match(START_TAG);
+    if (!start) {
+      addText("<");
+      i++;
+      continue;
+    }
+
+    /** @type {Map<string, string>} */
+    const attributes = new Map();
+    for (let attr; (attr = match(ATTRIBUTE));) {
+      const [, name = "", ...values] = attr;
+      const value = values.find(value => value !== undefined) ?? "";
+      if (!attributes.has(name.toLowerCase())) attributes.set(name.toLowerCase(), decode(value));
+    }
+
+    match(START_TAG_END);
+
+    const name = /** @type {string} */ (start[1]).toLowerCase();
+    const parent = stack[stack.length - 1];
+    const el = virtualize(name, attributes, classes.get(name), parent);
+    parent.childNodes.push(el);
+
+    if (RAW_TEXT_ELEMENTS.has(name)) {
+      // raw text elements can't contain other elements, so everything up to the end tag is text
+      const close = html.toLowerCase().indexOf(`</${name}`, i);
+      const text = html.slice(i, close === -1 ? undefined : close);
+      if (text) el.childNodes.push({ nodeType: 3, textContent: text });
+      i = close === -1 ? html.length : close;
+    } else if (!VOID_ELEMENTS.has(name)) stack.push(el);
   }
 
-  return patches;
+  return root;
 }
 
-/** Enable elements to include JSON Patch operations in `json-change` event details. */
-export function enableDiff() {
-  JSONElement.diff = diff;
+/**
+ * Finds the first `JSONElement` in a tree of virtual elements.
+ * @param {any} el
+ * @returns {JSONElement | undefined}
+ */
+function find(el) {
+  for (const child of el.children) {
+    if (child instanceof JSONElement) return child;
+
+    const found = find(child);
+    if (found) return found;
+  }
+
+  return undefined;
+}
+
+/**
+ * Computes JSON from an HTML string without a DOM, using the schemas of the given classes.
+ * Returns the JSON of the first element in the markup that belongs to one of the classes.
+ * @param {string} html
+ * @param {Array<typeof JSONElement>} classes
+ * @returns {any}
+ */
+export function evaluate(html, classes) {
+  const tags = new Map(classes.map(Class => [Class.tag, Class]));
+  return find(parseHTML(html, tags))?.json;
+}
+
+/**
+ * Escapes text for use in HTML attribute values and text content.
+ * @param {string} text
+ */
+const escapeHTML = text =>
+  text.replace(/&/g, "&amp;").replace(/"/g, "&quot;").replace(/</g, "&lt;").replace(/>/g, "&gt;");
+
+/**
+ * Adds the markup for a single value to an element's attributes and children.
+ * @param {CompiledField} field
+ * @param {SchemaInput} schema
+ * @param {any} value
+ * @param {string[]} attributes
+ * @param {string[]} children
+ */
+function serialize(field, schema, value, attributes, children) {
+  schema = unwrap(schema);
+
+  const { key, attribute } = field;
+  const source = sourceOf(field, schema);
+
+  if (isEnumSchema(schema)) {
+    const match = schema.schemata.find(s => value !== undefined && accepts(s, value));
+    if (match !== undefined) serialize(field, match, value, attributes, children);
+  } else if (isRefSchema(schema)) serialize(field, schema.ref, value, attributes, children);
+  else if (source === "text") {
+    if (!isAbsent(value)) children.unshift(escapeHTML(format(schema, value)));
+  } else if (source === "slot" && !isCompositeSchema(schema)) {
+    if (!isAbsent(value)) {
+      children.push(`<span slot="${escapeHTML(key)}">${escapeHTML(format(schema, value))}</span>`);
+    }
+  } else if (source === "script") {
+    // escape `<` so the JSON can't close the script early
+    const json = JSON.stringify(value)?.replace(/</g, "\\u003c");
+    if (json !== undefined) {
+      children.push(`<script type="application/json" slot="${escapeHTML(key)}">${json}</script>`);
+    }
+  } else if (schema === Boolean) {
+    if (value) attributes.push(attribute);
+  } else if (isScalarSchema(schema)) {
+    if (!isMissing(schema, value)) {
+      attributes.push(`${attribute}="${escapeHTML(format(schema, value))}"`);
+    }
+  } else if (isObjectSchema(schema)) {
+    if (value !== undefined && value !== null) {
+      children.push(markup(elementClass(schema, key), value, key));
+    }
+  } else if (isDictionarySchema(schema)) {
+    const entries = isScalar(value) || Array.isArray(value) ? [] : Object.entries(value);
+    for (const [name, item] of entries) {
+      const attribute = `${schema.keyedBy}="${escapeHTML(name)}"`;
+      children.push(markup(elementClass(schema.item, key), item, key, [attribute]));
+    }
+  } else if (isArraySchema(schema)) {
+    if (Array.isArray(value) && value.length) {
+      const Class = elementClass(itemSchema(schema), key);
+      for (const item of value) children.push(markup(Class, item, key));
+    }
+  }
+}
+
+/**
+ * @param {typeof JSONElement} Class
+ * @param {any} json
+ * @param {string} [slot]
+ * @param {string[]} [extra] any attributes to add before the ones from the schema
+ */
+function markup(Class, json, slot, extra = []) {
+  const attributes = slot ? [`slot="${escapeHTML(slot)}"`, ...extra] : [...extra];
+
+  /** @type {string[]} */
+  const children = [];
+  for (const field of Object.values(compileClass(Class))) {
+    serialize(field, field.type, json?.[field.key], attributes, children);
+  }
+
+  const tag = Class.tag;
+  return `<${[tag, ...attributes].join(" ")}>${children.join("")}</${tag}>`;
+}
+
+/**
+ * Generates markup that produces the given JSON, using the schemas of a `JSONElement` subclass and any subclasses nested within it.
+ * Overridden `json` getters can't be reversed, so only the `schema` is used.
+ * @param {any} json
+ * @param {typeof JSONElement} Class
+ * @returns {string}
+ */
+export function toHTML(json, Class) {
+  return markup(Class, json);
 }
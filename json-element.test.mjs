@@ -1,4 +1,5 @@
 import assert from "node:assert";
+import { execFileSync } from "node:child_process";
 import { before, test } from "node:test";
 import { parseHTML } from "linkedom";
 
@@ -8,6 +9,7 @@ before(() => {
   global.customElements = window.customElements;
   global.HTMLElement = window.HTMLElement;
   global.CustomEvent = window.CustomEvent;
+  global.MutationObserver = window.MutationObserver;
 });
 
 test("basic tests", async t => {
@@ -224,59 +226,2934 @@ test("composite", async t => {
     });
   });
 
-  // TODO: uncomment when linkedom supports slotchange events
-  // await t.test("emits a `json-change` event when a child is removed", async () => {
-  //   return new Promise(async resolve => {
-  //     document.body.innerHTML = `
-  //       <test-array id="array">
-  //         <test-basic slot="array" string="one" number="1"></test-basic>
-  //         <test-basic slot="array" string="two" number="2"></test-basic>
-  //       </test-array>
-  //     `;
-  //     const instance = document.querySelector("test-array");
-  //     await customElements.whenDefined("test-array");
-  //     await customElements.whenDefined("test-basic");
-
-  //     instance?.addEventListener("json-change", ev => {
-  //       assert.deepStrictEqual(instance.json, {
-  //         array: [{ string: "two", number: 2 }]
-  //       });
-  //       resolve();
-  //     });
-
-  //     const child = document.querySelector("test-basic");
-  //     instance?.removeChild(child);
-  //   });
-  // });
+  await t.test("emits a `json-change` event when a child is removed", async () => {
+    return new Promise(async resolve => {
+      document.body.innerHTML = `
+        <test-array id="array">
+          <test-basic slot="array" string="one" number="1"></test-basic>
+          <test-basic slot="array" string="two" number="2"></test-basic>
+        </test-array>
+      `;
+      const instance = document.querySelector("test-array");
+      await customElements.whenDefined("test-array");
+      await customElements.whenDefined("test-basic");
+
+      instance?.addEventListener("json-change", ev => {
+        assert.deepStrictEqual(instance.json, {
+          array: [{ literal: "literal", string: "two", number: 2, bool: false }]
+        });
+        resolve();
+      });
+
+      const child = document.querySelector("test-basic");
+      instance?.removeChild(child);
+    });
+  });
+});
+
+test("light DOM", async t => {
+  before(async () => {
+    const { default: JSONElement } = await import("./json-element.js");
+
+    class TestLightItem extends JSONElement {
+      static tag = "test-light-item";
+
+      static schema = {
+        name: String
+      };
+    }
+
+    class TestShadowList extends JSONElement {
+      static tag = "test-shadow-list";
+
+      static get schema() {
+        return {
+          title: String,
+          first: TestLightItem,
+          items: [TestLightItem]
+        };
+      }
+    }
+
+    class TestLightList extends TestShadowList {
+      static tag = "test-light-list";
+      static shadow = false;
+    }
+
+    // a component can keep its own shadow root for rendering
+    class TestLightOwnRoot extends TestLightList {
+      static tag = "test-light-own-root";
+
+      constructor() {
+        super();
+        this.attachShadow({ mode: "open" }).innerHTML = `<p>rendered</p>`;
+      }
+    }
+
+    TestLightItem.register();
+    TestShadowList.register();
+    TestLightList.register();
+    TestLightOwnRoot.register();
+  });
+
+  const children = `
+    <test-light-item slot="first" name="a"></test-light-item>
+    <test-light-item slot="items" name="b"></test-light-item>
+    <test-light-item slot="items" name="c"></test-light-item>
+    <test-light-item slot="other" name="d"></test-light-item>
+  `;
+
+  await t.test("groups children by their `slot` attribute without a shadow root", () => {
+    document.body.innerHTML = `
+      <test-shadow-list title="list">${children}</test-shadow-list>
+      <test-light-list title="list">${children}</test-light-list>
+    `;
+    const shadow = document.querySelector("test-shadow-list");
+    const light = document.querySelector("test-light-list");
+
+    assert.strictEqual(light.shadowRoot, null);
+    assert.deepStrictEqual(light.json, {
+      title: "list",
+      first: { name: "a" },
+      items: [{ name: "b" }, { name: "c" }]
+    });
+    assert.deepStrictEqual(light.json, shadow.json);
+  });
+
+  await t.test(
+    "emits a `json-change` event when children are added, moved or removed",
+    async () => {
+      document.body.innerHTML = `<test-light-list></test-light-list>`;
+      const instance = document.querySelector("test-light-list");
+      await instance.updateComplete;
+
+      let events = 0;
+      instance.addEventListener("json-change", () => events++);
+
+      const child = document.createElement("test-light-item");
+      child.slot = "items";
+      child.setAttribute("name", "a");
+      instance.append(child);
+      await instance.updateComplete;
+      assert.deepStrictEqual(instance.json, { items: [{ name: "a" }] });
+
+      child.slot = "first";
+      await instance.updateComplete;
+      assert.deepStrictEqual(instance.json, { first: { name: "a" }, items: [] });
+
+      child.remove();
+      await instance.updateComplete;
+      assert.deepStrictEqual(instance.json, { items: [] });
+      assert.strictEqual(events, 3);
+    }
+  );
+
+  await t.test("leaves the component's own shadow root alone", () => {
+    document.body.innerHTML = `<test-light-own-root title="list">${children}</test-light-own-root>`;
+    const instance = document.querySelector("test-light-own-root");
+
+    assert.strictEqual(instance.shadowRoot.querySelectorAll("slot").length, 0);
+    assert.deepStrictEqual(instance.json, {
+      title: "list",
+      first: { name: "a" },
+      items: [{ name: "b" }, { name: "c" }]
+    });
+  });
+
+  await t.test("writes children without a shadow root", () => {
+    document.body.innerHTML = `<test-light-list></test-light-list>`;
+    const instance = document.querySelector("test-light-list");
+
+    const json = { title: "list", first: { name: "a" }, items: [{ name: "b" }] };
+    instance.json = json;
+    assert.deepStrictEqual(instance.json, json);
+    assert.strictEqual(instance.querySelectorAll("test-light-item").length, 2);
+  });
+});
+
+test("enumerated", async t => {
+  before(async () => {
+    const { default: JSONElement, Enum } = await import("./json-element.js");
+
+    class TestEnum extends JSONElement {
+      static tag = "test-enum";
+
+      static schema = {
+        enum: Enum(String, Object)
+      };
+    }
+
+    TestEnum.register();
+  });
+
+  await t.test("prefers the first item in the enum", () => {
+    document.body.innerHTML = `<test-enum enum="test"></test-enum>`;
+    const instance = document.querySelector("test-enum");
+
+    assert.deepStrictEqual(instance.json, { enum: "test" });
+  });
+
+  await t.test("falls back to the second item in the enum", () => {
+    document.body.innerHTML = `<test-enum><test-basic slot="enum"></test-basic></test-enum>`;
+    const instance = document.querySelector("test-enum");
+
+    assert.deepStrictEqual(instance.json, { enum: { literal: "literal", bool: false } });
+  });
+});
+
+test("text content", async t => {
+  before(async () => {
+    const { default: JSONElement, TextContent, InlineJSON } = await import("./json-element.js");
+
+    class TestText extends JSONElement {
+      static tag = "test-text";
+
+      static schema = {
+        name: TextContent(),
+        data: InlineJSON()
+      };
+    }
+
+    class TestTextNumber extends JSONElement {
+      static tag = "test-text-number";
+
+      static schema = {
+        number: TextContent(Number)
+      };
+    }
+
+    TestText.register();
+    TestTextNumber.register();
+  });
+
+  await t.test("reads the element's own text", () => {
+    document.body.innerHTML = `
+      <test-text>
+        Dinagat Islands
+        <test-basic slot="ignored" string="not included"></test-basic>
+      </test-text>
+      <test-text-number>10</test-text-number>
+    `;
+
+    assert.deepStrictEqual(document.querySelector("test-text").json, { name: "Dinagat Islands" });
+    assert.deepStrictEqual(document.querySelector("test-text-number").json, { number: 10 });
+  });
+
+  await t.test("parses inline JSON", () => {
+    document.body.innerHTML = `
+      <test-text>
+        <script type="application/json">{ "coordinates": [125.6, 10.1] }</script>
+      </test-text>
+    `;
+
+    assert.deepStrictEqual(document.querySelector("test-text").json, {
+      data: { coordinates: [125.6, 10.1] }
+    });
+  });
+
+  await t.test("emits a `json-change` event when the text changes", () => {
+    return new Promise(async resolve => {
+      document.body.innerHTML = `<test-text>one</test-text>`;
+      const instance = document.querySelector("test-text");
+      await customElements.whenDefined("test-text");
+      await Promise.resolve();
+
+      instance?.addEventListener("json-change", () => {
+        assert.deepStrictEqual(instance.json, { name: "two" });
+        resolve();
+      });
+
+      instance.textContent = "two";
+    });
+  });
+
+  await t.test("writes text and inline JSON", () => {
+    document.body.innerHTML = `<test-text>one</test-text>`;
+    const instance = document.querySelector("test-text");
+
+    instance.json = { name: "two", data: [1, 2] };
+
+    assert.strictEqual(instance.childNodes[0].textContent, "two");
+    assert.deepStrictEqual(instance.json, { name: "two", data: [1, 2] });
+  });
+});
+
+test("fields", async t => {
+  let lib;
+
+  before(async () => {
+    lib = await import("./json-element.js");
+    const { default: JSONElement } = lib;
+
+    class TestFieldChild extends JSONElement {
+      static tag = "test-field-child";
+
+      static schema = {
+        name: String
+      };
+    }
+
+    class TestField extends JSONElement {
+      static tag = "test-field";
+
+      static schema = {
+        fillColor: { type: String, attribute: "fill-color", default: "#000000" },
+        opacity: { type: Number, default: 1 },
+        title: { type: String, source: "slot" },
+        label: { type: String, empty: "keep" },
+        description: { type: String, source: "text" },
+        tags: { type: [TestFieldChild], empty: "omit" }
+      };
+    }
+
+    TestFieldChild.register();
+    TestField.register();
+  });
+
+  await t.test("observes the mapped attributes", () => {
+    assert.deepStrictEqual(customElements.get("test-field").observedAttributes, [
+      "fill-color",
+      "opacity",
+      "title",
+      "label",
+      "description",
+      "tags",
+      "slot",
+      "id"
+    ]);
+  });
+
+  await t.test("reads from the mapped attributes, slots and text", () => {
+    document.body.innerHTML = `
+      <test-field fill-color="#ff0000" opacity="0.5" label="">
+        Some text
+        <span slot="title"> Title </span>
+        <test-field-child slot="tags" name="one"></test-field-child>
+      </test-field>
+    `;
+
+    assert.deepStrictEqual(document.querySelector("test-field").json, {
+      fillColor: "#ff0000",
+      opacity: 0.5,
+      title: "Title",
+      label: "",
+      description: "Some text",
+      tags: [{ name: "one" }]
+    });
+  });
+
+  await t.test("uses defaults and omits empty values", () => {
+    document.body.innerHTML = `<test-field fillcolor="#ff0000"></test-field>`;
+    assert.deepStrictEqual(document.querySelector("test-field").json, {
+      fillColor: "#000000",
+      opacity: 1
+    });
+  });
+
+  await t.test("creates slots for slotted scalars", () => {
+    document.body.innerHTML = `<test-field></test-field>`;
+    const slots = [...document.querySelector("test-field").shadowRoot.querySelectorAll("slot")];
+    assert.deepStrictEqual(
+      slots.map(slot => slot.name),
+      ["title", "tags"]
+    );
+  });
+
+  await t.test("writes to the mapped attributes, slots and text", () => {
+    document.body.innerHTML = `<test-field></test-field>`;
+    const instance = document.querySelector("test-field");
+
+    const json = {
+      fillColor: "#00ff00",
+      opacity: 0.25,
+      title: "Title",
+      label: "",
+      description: "Some text",
+      tags: [{ name: "one" }]
+    };
+
+    instance.json = json;
+    assert.strictEqual(instance.getAttribute("fill-color"), "#00ff00");
+    assert.strictEqual(instance.querySelector("span[slot=title]").textContent, "Title");
+    assert.deepStrictEqual(instance.json, json);
+
+    instance.json = { title: "Changed" };
+    assert.strictEqual(instance.hasAttribute("fill-color"), false);
+    assert.strictEqual(instance.querySelectorAll("span").length, 1);
+    assert.deepStrictEqual(instance.json, { fillColor: "#000000", opacity: 1, title: "Changed" });
+  });
+
+  await t.test("emits a `json-change` event when slotted text changes", () => {
+    return new Promise(async resolve => {
+      document.body.innerHTML = `<test-field><span slot="title">one</span></test-field>`;
+      const instance = document.querySelector("test-field");
+      await Promise.resolve();
+
+      instance.addEventListener("json-change", () => {
+        assert.strictEqual(instance.json.title, "two");
+        resolve();
+      });
+
+      instance.querySelector("span").textContent = "two";
+    });
+  });
+
+  await t.test("round trips through markup", () => {
+    const Class = customElements.get("test-field");
+    const json = { fillColor: "#0000ff", opacity: 1, title: "<Title>", description: "Text" };
+    assert.deepStrictEqual(lib.evaluate(lib.toHTML(json, Class), [Class]), json);
+  });
+
+  await t.test("includes defaults in JSON Schema", () => {
+    const schema = lib.toJSONSchema(customElements.get("test-field"));
+    assert.deepStrictEqual(schema.properties.fillColor, { type: "string", default: "#000000" });
+    assert.deepStrictEqual(schema.required, ["fillColor", "opacity"]);
+  });
+});
+
+test("scalar types", async t => {
+  let lib;
+
+  before(async () => {
+    lib = await import("./json-element.js");
+    const { default: JSONElement, Enum, List } = lib;
+
+    class TestScalar extends JSONElement {
+      static tag = "test-scalar";
+
+      static schema = {
+        coordinates: JSON,
+        tags: List(),
+        sizes: List(Number, " "),
+        date: Date,
+        id: BigInt,
+        since: Enum(Date, String)
+      };
+    }
+
+    TestScalar.register();
+  });
+
+  await t.test("parses attributes", () => {
+    document.body.innerHTML = `
+      <test-scalar
+        coordinates="[125.6, 10.1]"
+        tags="one, two,,three "
+        sizes=" 1  2
+          3"
+        date="2024-01-02T03:04:05Z"
+        id="9007199254740993"
+        since="yesterday"
+      ></test-scalar>
+    `;
+
+    assert.deepStrictEqual(document.querySelector("test-scalar").json, {
+      coordinates: [125.6, 10.1],
+      tags: ["one", "two", "three"],
+      sizes: [1, 2, 3],
+      date: new Date(Date.UTC(2024, 0, 2, 3, 4, 5)),
+      id: 9007199254740993n,
+      since: "yesterday"
+    });
+  });
+
+  await t.test("composes with enums", () => {
+    document.body.innerHTML = `<test-scalar since="2024-01-02"></test-scalar>`;
+    assert.deepStrictEqual(document.querySelector("test-scalar").json, {
+      since: new Date(Date.UTC(2024, 0, 2))
+    });
+  });
+
+  await t.test("reports parse errors", () => {
+    document.body.innerHTML = `
+      <test-scalar coordinates="[125.6," sizes="1 two" date="January 2nd" id="1.5"></test-scalar>
+    `;
+    const instance = document.querySelector("test-scalar");
+
+    assert.deepStrictEqual(instance.json, {});
+    assert.deepStrictEqual(
+      instance.validity.errors.map(({ path, constraint, message }) => [path, constraint, message]),
+      [
+        ["/coordinates", "type", "must be valid JSON"],
+        ["/sizes", "type", 'has an invalid item "two"'],
+        ["/date", "type", "must be an ISO 8601 date"],
+        ["/id", "type", "must be an integer"]
+      ]
+    );
+  });
+
+  await t.test("rejects dates that don't exist", () => {
+    document.body.innerHTML = `
+      <test-scalar date="2024-02-30"></test-scalar>
+      <test-scalar date="2023-02-29T12:00:00Z"></test-scalar>
+      <test-scalar date="2024-02-29"></test-scalar>
+    `;
+    const [impossible, leap, valid] = document.querySelectorAll("test-scalar");
+
+    for (const instance of [impossible, leap]) {
+      assert.deepStrictEqual(instance.json, {});
+      assert.deepStrictEqual(
+        instance.validity.errors.map(({ path, constraint, message }) => [
+          path,
+          constraint,
+          message
+        ]),
+        [["/date", "type", "must be a valid date"]]
+      );
+    }
+    assert.deepStrictEqual(valid.json, { date: new Date(Date.UTC(2024, 1, 29)) });
+  });
+
+  await t.test("writes attributes", () => {
+    document.body.innerHTML = `<test-scalar></test-scalar>`;
+    const instance = document.querySelector("test-scalar");
+
+    const json = {
+      coordinates: { lon: 125.6, lat: null },
+      tags: ["one", "two"],
+      sizes: [1, 2],
+      date: new Date(Date.UTC(2024, 0, 2)),
+      id: 10n,
+      since: "yesterday"
+    };
+
+    instance.json = json;
+    assert.strictEqual(instance.getAttribute("coordinates"), `{"lon":125.6,"lat":null}`);
+    assert.strictEqual(instance.getAttribute("tags"), "one,two");
+    assert.strictEqual(instance.getAttribute("sizes"), "1 2");
+    assert.strictEqual(instance.getAttribute("date"), "2024-01-02T00:00:00.000Z");
+    assert.deepStrictEqual(instance.json, json);
+
+    instance.json = { ...json, since: new Date(0) };
+    assert.strictEqual(instance.getAttribute("since"), "1970-01-01T00:00:00.000Z");
+  });
+
+  await t.test("converts to JSON Schema", () => {
+    const { properties } = lib.toJSONSchema(customElements.get("test-scalar"));
+    assert.deepStrictEqual(properties, {
+      coordinates: {},
+      tags: { type: "array", items: { type: "string" } },
+      sizes: { type: "array", items: { type: "number" } },
+      date: { type: "string", format: "date-time" },
+      id: { type: "integer" },
+      since: { anyOf: [{ type: "string", format: "date-time" }, { type: "string" }] }
+    });
+  });
+});
+
+test("dictionary", async t => {
+  let lib;
+
+  before(async () => {
+    lib = await import("./json-element.js");
+    const { default: JSONElement, Dictionary } = lib;
+
+    class TestDictionarySource extends JSONElement {
+      static tag = "test-dictionary-source";
+
+      static schema = {
+        url: String
+      };
+    }
+
+    class TestDictionary extends JSONElement {
+      static tag = "test-dictionary";
+
+      static schema = {
+        sources: Dictionary("id", TestDictionarySource)
+      };
+    }
+
+    TestDictionarySource.register();
+    TestDictionary.register();
+  });
+
+  await t.test("collects slotted elements by key", t => {
+    const warn = t.mock.method(console, "warn", () => {});
+    document.body.innerHTML = `
+      <test-dictionary>
+        <test-dictionary-source slot="sources" id="streets" url="a"></test-dictionary-source>
+        <test-dictionary-source slot="sources" id="terrain" url="b"></test-dictionary-source>
+        <test-dictionary-source slot="sources" id="streets" url="c"></test-dictionary-source>
+        <test-dictionary-source slot="sources" url="d"></test-dictionary-source>
+      </test-dictionary>
+    `;
+    const instance = document.querySelector("test-dictionary");
+
+    assert.deepStrictEqual(instance.json, {
+      sources: { streets: { url: "a" }, terrain: { url: "b" } }
+    });
+    assert.deepStrictEqual(instance.json, {
+      sources: { streets: { url: "a" }, terrain: { url: "b" } }
+    });
+    assert.strictEqual(warn.mock.callCount(), 1);
+  });
+
+  await t.test("writes slotted elements by key", () => {
+    document.body.innerHTML = `
+      <test-dictionary>
+        <test-dictionary-source slot="sources" id="streets" url="a"></test-dictionary-source>
+        <test-dictionary-source slot="sources" id="terrain" url="b"></test-dictionary-source>
+      </test-dictionary>
+    `;
+    const instance = document.querySelector("test-dictionary");
+    const [streets] = instance.children;
+
+    instance.json = { sources: { satellite: { url: "c" }, streets: { url: "d" } } };
+
+    assert.deepStrictEqual(instance.json, {
+      sources: { streets: { url: "d" }, satellite: { url: "c" } }
+    });
+    assert.strictEqual(instance.children[0], streets);
+    assert.strictEqual(instance.children.length, 2);
+  });
+
+  await t.test("diffs renamed keys as a removal and an addition", () => {
+    return new Promise(async resolve => {
+      lib.enableDiff();
+      document.body.innerHTML = `
+        <test-dictionary diff>
+          <test-dictionary-source slot="sources" id="streets" url="a"></test-dictionary-source>
+        </test-dictionary>
+      `;
+      const instance = document.querySelector("test-dictionary");
+      await new Promise(resolve => setTimeout(resolve));
+
+      instance.addEventListener("json-change", ev => {
+        assert.deepStrictEqual(ev.detail.patches, [
+          { op: "add", path: "/sources/roads", value: { url: "a" } },
+          { op: "remove", path: "/sources/streets" }
+        ]);
+        resolve();
+      });
+
+      instance.querySelector("test-dictionary-source").setAttribute("id", "roads");
+    });
+  });
+
+  await t.test("applies patches to keyed elements", () => {
+    document.body.innerHTML = `
+      <test-dictionary>
+        <test-dictionary-source slot="sources" id="streets" url="a"></test-dictionary-source>
+      </test-dictionary>
+    `;
+    const instance = document.querySelector("test-dictionary");
+    const [streets] = instance.children;
+
+    lib.applyPatch(instance, [
+      { op: "replace", path: "/sources/streets/url", value: "b" },
+      { op: "add", path: "/sources/terrain", value: { url: "c" } }
+    ]);
+
+    assert.strictEqual(streets.getAttribute("url"), "b");
+    assert.deepStrictEqual(instance.json, {
+      sources: { streets: { url: "b" }, terrain: { url: "c" } }
+    });
+  });
+
+  await t.test("converts to markup and JSON Schema", () => {
+    const Class = customElements.get("test-dictionary");
+    const json = { sources: { streets: { url: "a" }, terrain: { url: "b" } } };
+
+    assert.deepStrictEqual(
+      lib.evaluate(lib.toHTML(json, Class), [Class, customElements.get("test-dictionary-source")]),
+      json
+    );
+    assert.deepStrictEqual(lib.toJSONSchema(Class).properties.sources, {
+      type: "object",
+      additionalProperties: { $ref: "#/$defs/TestDictionarySource" }
+    });
+  });
+});
+
+test("references", async t => {
+  let lib;
+
+  before(async () => {
+    lib = await import("./json-element.js");
+    const { default: JSONElement, Ref } = lib;
+
+    class TestRefProperties extends JSONElement {
+      static tag = "test-ref-properties";
+
+      static schema = {
+        name: String
+      };
+    }
+
+    class TestRefFeature extends JSONElement {
+      static tag = "test-ref-feature";
+
+      static schema = {
+        properties: Ref(TestRefProperties)
+      };
+    }
+
+    class TestRefNode extends JSONElement {
+      static tag = "test-ref-node";
+
+      static get schema() {
+        return {
+          name: String,
+          next: Ref(TestRefNode)
+        };
+      }
+    }
+
+    TestRefProperties.register();
+    TestRefFeature.register();
+    TestRefNode.register();
+  });
+
+  await t.test("reads the JSON of the referenced element", () => {
+    document.body.innerHTML = `
+      <test-ref-properties id="shared" name="Shared"></test-ref-properties>
+      <test-ref-feature properties-ref="#shared"></test-ref-feature>
+      <test-ref-feature properties-ref="shared"></test-ref-feature>
+      <test-ref-feature properties-ref="#missing"></test-ref-feature>
+    `;
+    const [first, second, missing] = document.querySelectorAll("test-ref-feature");
+
+    assert.deepStrictEqual(first.json, { properties: { name: "Shared" } });
+    assert.deepStrictEqual(second.json, { properties: { name: "Shared" } });
+    assert.deepStrictEqual(missing.json, {});
+  });
+
+  await t.test("uses slotted children without a reference", () => {
+    document.body.innerHTML = `
+      <test-ref-properties id="shared" name="Shared"></test-ref-properties>
+      <test-ref-feature>
+        <test-ref-properties slot="properties" name="Local"></test-ref-properties>
+      </test-ref-feature>
+    `;
+    const instance = document.querySelector("test-ref-feature");
+    assert.deepStrictEqual(instance.json, { properties: { name: "Local" } });
+
+    instance.setAttribute("properties-ref", "#shared");
+    assert.deepStrictEqual(instance.json, { properties: { name: "Shared" } });
+  });
+
+  await t.test("updates when the referenced element changes", async () => {
+    document.body.innerHTML = `
+      <test-ref-properties id="shared" name="Shared"></test-ref-properties>
+      <test-ref-feature properties-ref="#shared"></test-ref-feature>
+    `;
+    const shared = document.querySelector("test-ref-properties");
+    const instance = document.querySelector("test-ref-feature");
+    await instance.updateComplete;
+
+    let events = 0;
+    instance.addEventListener("json-change", () => events++);
+
+    shared.setAttribute("name", "Changed");
+    assert.deepStrictEqual(instance.json, { properties: { name: "Changed" } });
+
+    await instance.updateComplete;
+    assert.strictEqual(events, 1);
+  });
+
+  await t.test("updates when the referenced element appears or goes away", async () => {
+    document.body.innerHTML = `<test-ref-feature properties-ref="#later"></test-ref-feature>`;
+    const instance = document.querySelector("test-ref-feature");
+    await instance.updateComplete;
+
+    let events = 0;
+    instance.addEventListener("json-change", () => events++);
+
+    const later = document.createElement("test-ref-properties");
+    later.setAttribute("name", "Later");
+    later.id = "later";
+    document.body.append(later);
+    await instance.updateComplete;
+    assert.deepStrictEqual(instance.json, { properties: { name: "Later" } });
+    assert.strictEqual(events, 1);
+
+    later.id = "renamed";
+    await instance.updateComplete;
+    assert.deepStrictEqual(instance.json, {});
+
+    later.id = "later";
+    await instance.updateComplete;
+    later.remove();
+    await instance.updateComplete;
+    assert.deepStrictEqual(instance.json, {});
+    assert.strictEqual(events, 4);
+  });
+
+  await t.test("detects reference cycles", () => {
+    document.body.innerHTML = `
+      <test-ref-node id="a" name="a" next-ref="#b"></test-ref-node>
+      <test-ref-node id="b" name="b" next-ref="#a"></test-ref-node>
+      <test-ref-node id="c" name="c" next-ref="#c"></test-ref-node>
+      <test-ref-node id="d" name="d" next-ref="#e"></test-ref-node>
+      <test-ref-node id="e" name="e"></test-ref-node>
+    `;
+    const [a, , c, d] = document.querySelectorAll("test-ref-node");
+
+    assert.deepStrictEqual(a.json, { name: "a" });
+    assert.deepStrictEqual(c.json, { name: "c" });
+    assert.deepStrictEqual(d.json, { name: "d", next: { name: "e" } });
+
+    assert.deepStrictEqual(
+      c.validity.errors.map(({ path, constraint, message }) => ({ path, constraint, message })),
+      [{ path: "/next", constraint: "ref", message: "has a circular reference" }]
+    );
+    assert.strictEqual(d.validity.valid, true);
+  });
+
+  await t.test("detects cycles through ancestors", () => {
+    document.body.innerHTML = `
+      <test-ref-node id="outer" name="outer">
+        <test-ref-node slot="next" name="inner" next-ref="#outer"></test-ref-node>
+      </test-ref-node>
+    `;
+    const outer = document.querySelector("test-ref-node");
+
+    assert.deepStrictEqual(outer.json, { name: "outer", next: { name: "inner" } });
+    assert.strictEqual(outer.validity.errors[0].path, "/next/next");
+  });
+
+  await t.test("doesn't write to referenced elements", () => {
+    document.body.innerHTML = `
+      <test-ref-properties id="shared" name="Shared"></test-ref-properties>
+      <test-ref-feature properties-ref="#shared"></test-ref-feature>
+      <test-ref-feature></test-ref-feature>
+    `;
+    const shared = document.querySelector("test-ref-properties");
+    const [referencing, plain] = document.querySelectorAll("test-ref-feature");
+
+    referencing.json = { properties: { name: "Changed" } };
+    assert.strictEqual(shared.getAttribute("name"), "Shared");
+    assert.strictEqual(referencing.children.length, 0);
+
+    plain.json = { properties: { name: "Created" } };
+    assert.deepStrictEqual(plain.json, { properties: { name: "Created" } });
+  });
+
+  await t.test("describes references like their schema", () => {
+    const schema = lib.toJSONSchema(customElements.get("test-ref-feature"));
+    assert.deepStrictEqual(schema.properties.properties, {
+      $ref: "#/$defs/TestRefProperties"
+    });
+  });
+});
+
+test("inheritance", async t => {
+  let lib;
+
+  before(async () => {
+    lib = await import("./json-element.js");
+    const { default: JSONElement, Inherit } = lib;
+
+    class TestInheritItem extends JSONElement {
+      static tag = "test-inherit-item";
+
+      static get schema() {
+        return {
+          units: Inherit(String),
+          color: { type: String, inherit: true, default: "white" },
+          items: [TestInheritItem]
+        };
+      }
+    }
+
+    class TestInheritGroup extends JSONElement {
+      static tag = "test-inherit-group";
+
+      static schema = {
+        units: String,
+        color: { type: String, default: "black" },
+        items: [TestInheritItem]
+      };
+    }
+
+    TestInheritItem.register();
+    TestInheritGroup.register();
+  });
+
+  /**
+   * Creates a group with an item inside it, and another item inside that.
+   * Children are appended one by one so that they're connected.
+   * @param {string} units
+   */
+  function setup(units) {
+    document.body.innerHTML = `<test-inherit-group units="${units}"></test-inherit-group>`;
+    const group = document.querySelector("test-inherit-group");
+
+    const item = document.createElement("test-inherit-item");
+    item.slot = "items";
+    group.append(item);
+
+    const nested = document.createElement("test-inherit-item");
+    nested.slot = "items";
+    item.append(nested);
+
+    return { group, item, nested };
+  }
+
+  await t.test("falls back to the nearest ancestor with a value", () => {
+    const { group, item, nested } = setup("meters");
+    assert.deepStrictEqual(nested.json, { units: "meters", color: "white", items: [] });
+
+    item.setAttribute("units", "feet");
+    assert.deepStrictEqual(nested.json, { units: "feet", color: "white", items: [] });
+
+    // ancestors' defaults aren't passed down, only the values they actually have
+    group.setAttribute("color", "black");
+    assert.strictEqual(nested.json.color, "black");
+
+    nested.setAttribute("units", "miles");
+    assert.deepStrictEqual(group.json.items[0].items[0].units, "miles");
+  });
+
+  await t.test("uses its own default without an ancestor", () => {
+    document.body.innerHTML = `<test-inherit-item></test-inherit-item>`;
+    const instance = document.querySelector("test-inherit-item");
+    assert.deepStrictEqual(instance.json, { color: "white", items: [] });
+  });
+
+  await t.test("updates inheriting descendants when an ancestor changes", async () => {
+    const { group, item, nested } = setup("meters");
+    await group.updateComplete;
+
+    let events = 0;
+    nested.addEventListener("json-change", () => events++);
+
+    group.setAttribute("units", "feet");
+    assert.strictEqual(nested.json.units, "feet");
+    await group.updateComplete;
+    assert.strictEqual(events, 1);
+
+    // keys that aren't inherited don't affect descendants
+    item.setAttribute("units", "miles");
+    await group.updateComplete;
+    group.setAttribute("units", "inches");
+    await group.updateComplete;
+    assert.strictEqual(nested.json.units, "miles");
+    assert.strictEqual(events, 2);
+  });
+
+  await t.test("inherits when evaluating markup", () => {
+    const json = lib.evaluate(
+      `<test-inherit-group units="meters" color="red">
+        <test-inherit-item slot="items" color="blue"></test-inherit-item>
+      </test-inherit-group>`,
+      [customElements.get("test-inherit-group"), customElements.get("test-inherit-item")]
+    );
+
+    assert.deepStrictEqual(json.items, [{ units: "meters", color: "blue", items: [] }]);
+  });
+
+  await t.test("rejects inheriting slotted elements", () => {
+    class TestInheritInvalid extends lib.default {
+      static schema = {
+        items: { type: [lib.default], inherit: true }
+      };
+    }
+
+    assert.throws(() => lib.toJSONSchema(TestInheritInvalid), /Can't inherit "items"/);
+  });
+});
+
+test("memoization", async t => {
+  let reads = 0;
+
+  before(async () => {
+    const { default: JSONElement } = await import("./json-element.js");
+
+    class TestMemoChild extends JSONElement {
+      static tag = "test-memo-child";
+
+      static schema = {
+        name: value => (reads++, value ?? undefined)
+      };
+    }
+
+    class TestMemo extends JSONElement {
+      static tag = "test-memo";
+
+      static get schema() {
+        return {
+          one: TestMemoChild,
+          many: [TestMemoChild]
+        };
+      }
+    }
+
+    TestMemoChild.register();
+    TestMemo.register();
+  });
+
+  const markup = `
+    <test-memo>
+      <test-memo-child slot="one" name="a"></test-memo-child>
+      <test-memo-child slot="many" name="b"></test-memo-child>
+      <test-memo-child slot="many" name="c"></test-memo-child>
+    </test-memo>
+  `;
+
+  await t.test("reuses the JSON until something changes", () => {
+    document.body.innerHTML = markup;
+    const instance = document.querySelector("test-memo");
+
+    reads = 0;
+    const json = instance.json;
+    assert.strictEqual(instance.json, json);
+    assert.strictEqual(reads, 3);
+    assert.ok(Object.isFrozen(json) && Object.isFrozen(json.many));
+  });
+
+  await t.test("recomputes changed elements and their ancestors immediately", () => {
+    document.body.innerHTML = markup;
+    const instance = document.querySelector("test-memo");
+    const prev = instance.json;
+
+    reads = 0;
+    instance.querySelector("[name=c]").setAttribute("name", "d");
+    const next = instance.json;
+
+    assert.deepStrictEqual(next, { one: { name: "a" }, many: [{ name: "b" }, { name: "d" }] });
+    assert.strictEqual(reads, 1);
+    assert.strictEqual(next.one, prev.one);
+    assert.strictEqual(next.many[0], prev.many[0]);
+  });
+
+  await t.test("recomputes when children are added, moved or removed", () => {
+    document.body.innerHTML = markup;
+    const instance = document.querySelector("test-memo");
+    instance.json;
+
+    const child = document.createElement("test-memo-child");
+    child.slot = "many";
+    child.setAttribute("name", "d");
+    instance.append(child);
+    assert.deepStrictEqual(instance.json.many, [{ name: "b" }, { name: "c" }, { name: "d" }]);
+
+    child.slot = "one";
+    assert.deepStrictEqual(instance.json, {
+      one: { name: "a" },
+      many: [{ name: "b" }, { name: "c" }]
+    });
+
+    instance.querySelector("[name=a]").slot = "ignored";
+    assert.deepStrictEqual(instance.json.one, { name: "d" });
+
+    child.remove();
+    assert.deepStrictEqual(instance.json, { many: [{ name: "b" }, { name: "c" }] });
+  });
+
+  await t.test("keeps the same JSON if nothing actually changed", () => {
+    document.body.innerHTML = markup;
+    const instance = document.querySelector("test-memo");
+    const prev = instance.json;
+
+    instance.querySelector("[name=a]").setAttribute("name", "a");
+    assert.strictEqual(instance.json, prev);
+  });
+});
+
+test("scheduling", async t => {
+  before(async () => {
+    const { default: JSONElement } = await import("./json-element.js");
+
+    class TestScheduleChild extends JSONElement {
+      static tag = "test-schedule-child";
+
+      static schema = {
+        value: Number
+      };
+    }
+
+    class TestSchedule extends JSONElement {
+      static tag = "test-schedule";
+
+      static schema = {
+        value: Number,
+        child: TestScheduleChild
+      };
+    }
+
+    TestScheduleChild.register();
+    TestSchedule.register();
+  });
+
+  /**
+   * Counts the `json-change` events from a new element after making a few changes to it
+   * @param {string} attributes
+   * @param {number} [gap] the number of milliseconds between changes
+   */
+  async function count(attributes, gap = 5) {
+    document.body.innerHTML = `<test-schedule ${attributes}></test-schedule>`;
+    const instance = document.querySelector("test-schedule");
+    await instance.updateComplete;
+
+    let events = 0;
+    instance.addEventListener("json-change", () => events++);
+
+    for (let i = 0; i < 3; i++) {
+      instance.setAttribute("value", "" + i);
+      await new Promise(resolve => setTimeout(resolve, gap));
+    }
+
+    await instance.updateComplete;
+    return events;
+  }
+
+  await t.test("batches changes into microtasks by default", async () => {
+    assert.strictEqual(await count(""), 3);
+  });
+
+  await t.test("debounces changes", async () => {
+    assert.strictEqual(await count(`schedule="debounce" schedule-delay="50"`), 1);
+  });
+
+  await t.test("throttles changes", async () => {
+    assert.strictEqual(await count(`schedule="throttle" schedule-delay="50"`), 1);
+  });
+
+  await t.test("waits for an animation frame or idle time", async () => {
+    assert.strictEqual(await count(`schedule="animation-frame"`, 40), 3);
+    assert.strictEqual(await count(`schedule="idle"`, 40), 3);
+  });
+
+  await t.test("resolves `updateComplete` once descendants have settled", async () => {
+    document.body.innerHTML = `
+      <test-schedule schedule="debounce" schedule-delay="10">
+        <test-schedule-child slot="child" value="1"></test-schedule-child>
+      </test-schedule>
+    `;
+    const instance = document.querySelector("test-schedule");
+    await instance.updateComplete;
+
+    let json;
+    instance.addEventListener("json-change", () => (json = instance.json));
+    instance.querySelector("test-schedule-child").setAttribute("value", "2");
+
+    await instance.updateComplete;
+    assert.deepStrictEqual(json, { child: { value: 2 } });
+  });
+});
+
+test("sinks", async t => {
+  let lib;
+
+  before(async () => {
+    lib = await import("./json-element.js");
+    const { default: JSONElement, JSONSink, JSONStorageSink, JSONConsoleSink } = lib;
+
+    class TestSinkSource extends JSONElement {
+      static tag = "test-sink-source";
+
+      static schema = {
+        name: String
+      };
+    }
+
+    class TestBigSinkSource extends JSONElement {
+      static tag = "test-big-sink-source";
+
+      static schema = {
+        id: BigInt
+      };
+    }
+
+    class TestSink extends JSONSink {
+      static tag = "test-sink";
+
+      calls = [];
+
+      apply(json, patches) {
+        this.calls.push(["apply", json, patches]);
+      }
+
+      teardown() {
+        this.calls.push(["teardown"]);
+      }
+    }
+
+    TestSinkSource.register();
+    TestBigSinkSource.register();
+    TestSink.register();
+    JSONStorageSink.register();
+    JSONConsoleSink.register();
+  });
+
+  /** Waits for mutation observers and `json-change` events */
+  const settle = () => new Promise(resolve => setTimeout(resolve));
+
+  await t.test("applies the initial JSON and then patches", async () => {
+    document.body.innerHTML = `<test-sink><test-sink-source name="a"></test-sink-source></test-sink>`;
+    const sink = document.querySelector("test-sink");
+    const source = document.querySelector("test-sink-source");
+    await settle();
+
+    assert.strictEqual(sink.source, source);
+    assert.deepStrictEqual(sink.calls, [["apply", { name: "a" }, undefined]]);
+
+    source.setAttribute("name", "b");
+    await settle();
+    assert.deepStrictEqual(sink.calls[1], [
+      "apply",
+      { name: "b" },
+      [{ op: "replace", path: "/name", value: "b" }]
+    ]);
+    assert.strictEqual(sink.calls.length, 2);
+  });
+
+  await t.test("tears down when the source is replaced", async () => {
+    document.body.innerHTML = `<test-sink><test-sink-source name="a"></test-sink-source></test-sink>`;
+    const sink = document.querySelector("test-sink");
+    await settle();
+
+    document.querySelector("test-sink-source").remove();
+    await settle();
+    assert.deepStrictEqual(sink.calls.slice(1), [["teardown"]]);
+
+    const source = document.createElement("test-sink-source");
+    source.setAttribute("name", "c");
+    sink.append(source);
+    await settle();
+    assert.deepStrictEqual(sink.calls.slice(2), [["apply", { name: "c" }, undefined]]);
+  });
+
+  await t.test("tears down when the sink is removed", async () => {
+    document.body.innerHTML = `<test-sink><test-sink-source name="a"></test-sink-source></test-sink>`;
+    const sink = document.querySelector("test-sink");
+    await settle();
+
+    sink.remove();
+    assert.deepStrictEqual(sink.calls.slice(1), [["teardown"]]);
+
+    document.body.append(sink);
+    await settle();
+    assert.deepStrictEqual(sink.calls.slice(2), [["apply", { name: "a" }, undefined]]);
+  });
+
+  await t.test("persists to localStorage", async t => {
+    const items = new Map([["saved", JSON.stringify({ name: "restored" })]]);
+    globalThis.localStorage = {
+      getItem: key => items.get(key) ?? null,
+      setItem: (key, value) => items.set(key, value)
+    };
+    t.after(() => delete globalThis.localStorage);
+
+    document.body.innerHTML = `
+      <json-storage-sink key="saved"><test-sink-source name="a"></test-sink-source></json-storage-sink>
+      <json-storage-sink key="fresh"><test-sink-source name="b"></test-sink-source></json-storage-sink>
+    `;
+    const [restored, fresh] = document.querySelectorAll("test-sink-source");
+    await settle();
+
+    assert.strictEqual(restored.getAttribute("name"), "restored");
+    assert.strictEqual(items.get("fresh"), JSON.stringify({ name: "b" }));
+
+    restored.setAttribute("name", "changed");
+    await settle();
+    assert.strictEqual(items.get("saved"), JSON.stringify({ name: "changed" }));
+    assert.strictEqual(fresh.getAttribute("name"), "b");
+  });
+
+  await t.test("persists bigints to localStorage", async t => {
+    const items = new Map([["saved", JSON.stringify({ id: "9007199254740993" })]]);
+    globalThis.localStorage = {
+      getItem: key => items.get(key) ?? null,
+      setItem: (key, value) => items.set(key, value)
+    };
+    t.after(() => delete globalThis.localStorage);
+
+    document.body.innerHTML = `
+      <json-storage-sink key="saved"><test-big-sink-source></test-big-sink-source></json-storage-sink>
+      <json-storage-sink key="fresh"><test-big-sink-source id="10"></test-big-sink-source></json-storage-sink>
+    `;
+    const [restored, fresh] = document.querySelectorAll("test-big-sink-source");
+    await settle();
+
+    assert.deepStrictEqual(restored.json, { id: 9007199254740993n });
+    assert.strictEqual(items.get("fresh"), JSON.stringify({ id: "10" }));
+
+    fresh.setAttribute("id", "9007199254740995");
+    await settle();
+    assert.strictEqual(items.get("fresh"), JSON.stringify({ id: "9007199254740995" }));
+  });
+
+  await t.test("logs to the console", async t => {
+    const debug = t.mock.method(console, "debug", () => {});
+
+    document.body.innerHTML = `
+      <json-console-sink label="style"><test-sink-source name="a"></test-sink-source></json-console-sink>
+    `;
+    await settle();
+
+    document.querySelector("test-sink-source").setAttribute("name", "b");
+    await settle();
+    document.querySelector("json-console-sink").remove();
+
+    assert.deepStrictEqual(
+      debug.mock.calls.map(call => call.arguments),
+      [
+        ["[style] applied", { name: "a" }],
+        ["[style] changed", [{ op: "replace", path: "/name", value: "b" }]],
+        ["[style] torn down"]
+      ]
+    );
+  });
+});
+
+test("errors", async t => {
+  before(async () => {
+    const { default: JSONElement } = await import("./json-element.js");
+
+    class TestErrorLeaf extends JSONElement {
+      static tag = "test-error-leaf";
+
+      static schema = {
+        name: String,
+        fail: Boolean
+      };
+
+      get json() {
+        const json = super.json;
+        if (json.fail) throw new Error(`${json.name} failed`);
+        return json;
+      }
+    }
+
+    class TestErrorFallback extends TestErrorLeaf {
+      static tag = "test-error-fallback";
+
+      static fallback = { name: "fallback" };
+    }
+
+    /** @param {string | null} value */
+    const custom = value => {
+      if (value === "throw") throw new Error("custom failed");
+      return value ?? undefined;
+    };
+
+    class TestErrorRoot extends JSONElement {
+      static tag = "test-error-root";
+
+      static schema = {
+        name: String,
+        custom,
+        defaulted: { type: custom, default: "default" },
+        items: [TestErrorLeaf],
+        other: TestErrorFallback
+      };
+    }
+
+    class TestErrorBroken extends JSONElement {
+      static tag = "test-error-broken";
+
+      get json() {
+        throw new Error("broken");
+      }
+    }
+
+    TestErrorLeaf.register();
+    TestErrorFallback.register();
+    TestErrorRoot.register();
+    TestErrorBroken.register();
+  });
+
+  /** Collects the details of `json-error` events until the returned function is called */
+  function listen() {
+    const errors = [];
+    const listener = ev => {
+      const { error, element, path } = ev.detail;
+      errors.push({ message: error.message, tag: element.localName, path });
+    };
+
+    document.addEventListener("json-error", listener);
+    return () => {
+      document.removeEventListener("json-error", listener);
+      return errors;
+    };
+  }
+
+  await t.test("replaces failing elements with null or their fallback", async () => {
+    const stop = listen();
+    document.body.innerHTML = `
+      <test-error-root name="root">
+        <test-error-leaf slot="items" name="a"></test-error-leaf>
+        <test-error-leaf slot="items" name="b" fail></test-error-leaf>
+        <test-error-leaf slot="items" name="d"></test-error-leaf>
+        <test-error-fallback slot="other" name="c" fail></test-error-fallback>
+      </test-error-root>
+    `;
+    const instance = document.querySelector("test-error-root");
+    await instance.updateComplete;
+
+    assert.deepStrictEqual(instance.json, {
+      name: "root",
+      defaulted: "default",
+      items: [{ name: "a", fail: false }, null, { name: "d", fail: false }],
+      other: { name: "fallback" }
+    });
+
+    // array items keep their indices, so pointers still line up with the elements
+    const last = document.querySelector('[name="d"]');
+    assert.strictEqual(instance.elementAt("/items/2").element, last);
+    assert.strictEqual(instance.pointerOf(last), "/items/2");
+
+    await new Promise(resolve => setTimeout(resolve));
+    assert.deepStrictEqual(stop(), [
+      { message: "b failed", tag: "test-error-leaf", path: "/items/1" },
+      { message: "c failed", tag: "test-error-fallback", path: "/other" }
+    ]);
+  });
+
+  await t.test("leaves out failing value getters or uses their default", async () => {
+    const stop = listen();
+    document.body.innerHTML = `<test-error-root custom="throw" defaulted="throw"></test-error-root>`;
+    const instance = document.querySelector("test-error-root");
+
+    assert.deepStrictEqual(instance.json, { defaulted: "default", items: [] });
+    await instance.updateComplete;
+    assert.deepStrictEqual(
+      stop().map(error => error.path),
+      ["/custom", "/defaulted"]
+    );
+  });
+
+  await t.test("keeps sending json-change events for the healthy parts", async () => {
+    document.body.innerHTML = `<test-error-root name="root"></test-error-root>`;
+    const instance = document.querySelector("test-error-root");
+    await instance.updateComplete;
+
+    let events = 0;
+    instance.addEventListener("json-change", () => events++);
+    const stop = listen();
+
+    const leaf = document.createElement("test-error-leaf");
+    leaf.slot = "items";
+    leaf.setAttribute("name", "a");
+    instance.append(leaf);
+    await instance.updateComplete;
+
+    leaf.setAttribute("fail", "");
+    await instance.updateComplete;
+
+    assert.strictEqual(events, 2);
+    assert.deepStrictEqual(instance.json, { name: "root", defaulted: "default", items: [null] });
+    assert.deepStrictEqual(stop(), [
+      { message: "a failed", tag: "test-error-leaf", path: "/items/0" }
+    ]);
+  });
+
+  await t.test("reports each failure once until the failing element changes", async () => {
+    document.body.innerHTML = `
+      <test-error-root name="root">
+        <test-error-leaf slot="items" name="a" fail></test-error-leaf>
+      </test-error-root>
+    `;
+    const instance = document.querySelector("test-error-root");
+    const leaf = instance.querySelector("test-error-leaf");
+    await instance.updateComplete;
+    await new Promise(resolve => setTimeout(resolve));
+    const stop = listen();
+
+    // recomputing the root reads the leaf again, but it hasn't changed
+    instance.setAttribute("name", "changed");
+    await instance.updateComplete;
+    assert.strictEqual(instance.json.name, "changed");
+
+    leaf.setAttribute("name", "b");
+    await instance.updateComplete;
+    await new Promise(resolve => setTimeout(resolve));
+
+    assert.deepStrictEqual(stop(), [
+      { message: "b failed", tag: "test-error-leaf", path: "/items/0" }
+    ]);
+  });
+
+  await t.test("reports a failing root instead of sending json-change", async () => {
+    document.body.innerHTML = `<test-error-broken></test-error-broken>`;
+    const instance = document.querySelector("test-error-broken");
+
+    let events = 0;
+    instance.addEventListener("json-change", () => events++);
+    const stop = listen();
+
+    instance.setAttribute("schedule", "microtask");
+    await instance.updateComplete;
+    await new Promise(resolve => setTimeout(resolve));
+
+    assert.strictEqual(events, 0);
+    assert.deepStrictEqual(stop(), [{ message: "broken", tag: "test-error-broken", path: "" }]);
+  });
+});
+
+test("validation", async t => {
+  before(async () => {
+    const { default: JSONElement, Constrained } = await import("./json-element.js");
+
+    class TestValidChild extends JSONElement {
+      static tag = "test-valid-child";
+
+      static schema = {
+        name: Constrained(String, { required: true, pattern: "[A-Z].*" }),
+        rank: Constrained(Number, { min: 1, max: 5 })
+      };
+    }
+
+    class TestValid extends JSONElement {
+      static tag = "test-valid";
+
+      static schema = {
+        kind: Constrained(String, { enum: ["point", "line"] }),
+        items: Constrained([TestValidChild], { minItems: 1, maxItems: 2 })
+      };
+    }
+
+    TestValidChild.register();
+    TestValid.register();
+  });
+
+  await t.test("doesn't change the JSON", () => {
+    document.body.innerHTML = `
+      <test-valid kind="polygon">
+        <test-valid-child slot="items" name="one" rank="10"></test-valid-child>
+      </test-valid>
+    `;
+    const instance = document.querySelector("test-valid");
+
+    assert.deepStrictEqual(instance.json, { kind: "polygon", items: [{ name: "one", rank: 10 }] });
+  });
+
+  await t.test("lists failures by JSON Pointer", () => {
+    document.body.innerHTML = `
+      <test-valid kind="polygon">
+        <test-valid-child slot="items" name="One" rank="3"></test-valid-child>
+        <test-valid-child slot="items" name="two" rank="0"></test-valid-child>
+        <test-valid-child slot="items"></test-valid-child>
+      </test-valid>
+    `;
+    const instance = document.querySelector("test-valid");
+    const [, second, third] = instance.children;
+
+    const { valid, errors } = instance.validity;
+    assert.strictEqual(valid, false);
+    assert.deepStrictEqual(
+      errors.map(({ path, constraint, element }) => [path, constraint, element]),
+      [
+        ["/kind", "enum", instance],
+        ["/items", "maxItems", instance],
+        ["/items/1/name", "pattern", second],
+        ["/items/1/rank", "min", second],
+        ["/items/2/name", "required", third]
+      ]
+    );
+  });
+
+  await t.test("is valid when every constraint passes", () => {
+    document.body.innerHTML = `
+      <test-valid kind="point">
+        <test-valid-child slot="items" name="One" rank="3"></test-valid-child>
+      </test-valid>
+    `;
+    const instance = document.querySelector("test-valid");
+
+    assert.deepStrictEqual(instance.validity, { valid: true, errors: [] });
+  });
+
+  await t.test("emits a `json-invalid` event from the root after `json-change`", () => {
+    return new Promise(async resolve => {
+      document.body.innerHTML = `
+        <test-valid kind="point">
+          <test-valid-child slot="items" name="One" rank="3"></test-valid-child>
+        </test-valid>
+      `;
+      const instance = document.querySelector("test-valid");
+      const child = document.querySelector("test-valid-child");
+      await customElements.whenDefined("test-valid");
+      await Promise.resolve();
+
+      let changed = false;
+      instance.addEventListener("json-change", () => (changed = true));
+      document.addEventListener(
+        "json-invalid",
+        ev => {
+          assert.strictEqual(changed, true);
+          assert.strictEqual(ev.target, instance);
+          assert.deepStrictEqual(
+            ev.detail.errors.map(error => [error.path, error.element]),
+            [["/items/0/rank", child]]
+          );
+          resolve();
+        },
+        { once: true }
+      );
+
+      child.setAttribute("rank", "6");
+    });
+  });
+});
+
+test("form", async t => {
+  const internals = new WeakMap();
+
+  before(async () => {
+    const { JSONFormElement, Constrained } = await import("./json-element.js");
+
+    class TestForm extends JSONFormElement {
+      static tag = "test-form";
+
+      static schema = {
+        title: Constrained(String, { required: true }),
+        count: Constrained(Number, { max: 10 })
+      };
+
+      // linkedom doesn't implement `ElementInternals`, so record what the element reports instead
+      attachInternals() {
+        const recorded = {
+          form: null,
+          value: null,
+          state: null,
+          flags: {},
+          validationMessage: "",
+          setFormValue(value, state) {
+            this.value = value;
+            this.state = state;
+          },
+          setValidity(flags, message = "") {
+            this.flags = flags;
+            this.validationMessage = message;
+          },
+          checkValidity() {
+            return !Object.values(this.flags).some(Boolean);
+          }
+        };
+
+        internals.set(this, recorded);
+        return recorded;
+      }
+    }
+
+    TestForm.register();
+  });
+
+  await t.test("submits its JSON as its form value", () => {
+    return new Promise(async resolve => {
+      document.body.innerHTML = `<test-form name="config" title="one" count="1"></test-form>`;
+      const instance = document.querySelector("test-form");
+
+      instance.addEventListener("json-change", () => {
+        assert.strictEqual(instance.name, "config");
+        assert.strictEqual(instance.checkValidity(), true);
+        assert.strictEqual(internals.get(instance).value, `{"title":"one","count":1}`);
+        resolve();
+      });
+    });
+  });
+
+  await t.test("reports constraint failures as form validity", () => {
+    return new Promise(async resolve => {
+      document.body.innerHTML = `<test-form count="11"></test-form>`;
+      const instance = document.querySelector("test-form");
+
+      instance.addEventListener("json-change", () => {
+        assert.strictEqual(instance.checkValidity(), false);
+        assert.strictEqual(instance.validationMessage, "/title is required");
+        assert.deepStrictEqual(internals.get(instance).flags, {
+          valueMissing: true,
+          rangeOverflow: true
+        });
+        resolve();
+      });
+    });
+  });
+
+  await t.test("restores its initial JSON when the form resets", () => {
+    return new Promise(async resolve => {
+      document.body.innerHTML = `<test-form title="one"></test-form>`;
+      const instance = document.querySelector("test-form");
+      await customElements.whenDefined("test-form");
+      await Promise.resolve();
+
+      instance.setAttribute("title", "two");
+      instance.setAttribute("count", "2");
+      instance.formResetCallback();
+
+      assert.deepStrictEqual(instance.json, { title: "one" });
+      resolve();
+    });
+  });
+
+  await t.test("restores its JSON from saved state", () => {
+    document.body.innerHTML = `<test-form></test-form>`;
+    const instance = document.querySelector("test-form");
+
+    instance.formStateRestoreCallback(JSON.stringify({ title: "restored", count: 3 }));
+    assert.deepStrictEqual(instance.json, { title: "restored", count: 3 });
+  });
+});
+
+test("toJSONSchema", async t => {
+  let lib;
+
+  before(async () => {
+    lib = await import("./json-element.js");
+  });
+
+  await t.test("converts a schema and its nested classes", () => {
+    const { default: JSONElement, Constrained, Enum, TextContent, toJSONSchema } = lib;
+
+    class GeoJsonPoint extends JSONElement {
+      static tag = "geojson-point";
+
+      static schema = {
+        type: "Point",
+        lon: Constrained(Number, { min: -180, max: 180 }),
+        lat: Constrained(Number, { required: true, min: -90, max: 90 })
+      };
+    }
+
+    class GeoJsonProperties extends JSONElement {
+      static tag = "geojson-properties";
+
+      static schema = {
+        name: TextContent(),
+        visible: Boolean,
+        tags: Constrained(Enum(String, Array), { maxItems: 5 })
+      };
+    }
+
+    class GeoJsonFeature extends JSONElement {
+      static tag = "geojson-feature";
+
+      static schema = {
+        type: "Feature",
+        geometry: GeoJsonPoint,
+        properties: GeoJsonProperties,
+        custom: value => value
+      };
+    }
+
+    class GeoJsonFeatureCollection extends JSONElement {
+      static tag = "geojson-featurecollection";
+
+      static schema = {
+        type: "FeatureCollection",
+        features: [GeoJsonFeature],
+        collections: [GeoJsonFeatureCollection]
+      };
+    }
+
+    assert.deepStrictEqual(toJSONSchema(GeoJsonFeatureCollection), {
+      $schema: "https://json-schema.org/draft/2020-12/schema",
+      type: "object",
+      properties: {
+        type: { const: "FeatureCollection" },
+        features: { type: "array", items: { $ref: "#/$defs/GeoJsonFeature" } },
+        collections: { type: "array", items: { $ref: "#" } }
+      },
+      required: ["type", "features", "collections"],
+      $defs: {
+        GeoJsonFeature: {
+          type: "object",
+          properties: {
+            type: { const: "Feature" },
+            geometry: { $ref: "#/$defs/GeoJsonPoint" },
+            properties: { $ref: "#/$defs/GeoJsonProperties" },
+            custom: {}
+          },
+          required: ["type"]
+        },
+        GeoJsonPoint: {
+          type: "object",
+          properties: {
+            type: { const: "Point" },
+            lon: { type: "number", minimum: -180, maximum: 180 },
+            lat: { type: "number", minimum: -90, maximum: 90 }
+          },
+          required: ["type", "lat"]
+        },
+        GeoJsonProperties: {
+          type: "object",
+          properties: {
+            name: { type: "string" },
+            visible: { type: "boolean" },
+            tags: { anyOf: [{ type: "string" }, { type: "array" }], maxItems: 5 }
+          },
+          required: ["visible", "tags"]
+        }
+      }
+    });
+  });
+
+  await t.test("anchors string patterns", () => {
+    const { default: JSONElement, Constrained, toJSONSchema } = lib;
+
+    class TestPattern extends JSONElement {
+      static schema = {
+        name: Constrained(String, { pattern: "[A-Z].*", enum: ["A", "B"] }),
+        regex: Constrained(String, { pattern: /^a/ })
+      };
+    }
+
+    assert.deepStrictEqual(toJSONSchema(TestPattern).properties, {
+      name: { type: "string", pattern: "^(?:[A-Z].*)$", enum: ["A", "B"] },
+      regex: { type: "string", pattern: "^a" }
+    });
+  });
+});
+
+test("fromJSONSchema", async t => {
+  let classes;
+
+  before(async () => {
+    const { fromJSONSchema } = await import("./json-element.js");
+
+    classes = fromJSONSchema(
+      {
+        title: "FeatureCollection",
+        type: "object",
+        properties: {
+          type: { const: "FeatureCollection" },
+          features: { type: "array", items: { $ref: "#/$defs/Feature" } }
+        },
+        $defs: {
+          Feature: {
+            type: "object",
+            properties: {
+              type: { const: "Feature" },
+              geometry: { $ref: "#/$defs/Point" },
+              properties: {
+                type: "object",
+                properties: {
+                  name: { type: "string" },
+                  tags: { type: "array", items: { type: "string" } },
+                  updated: { type: "string", format: "date-time" }
+                }
+              }
+            }
+          },
+          Point: {
+            type: "object",
+            properties: {
+              lon: { type: "number", minimum: -180, maximum: 180 },
+              lat: { type: "number", minimum: -90, maximum: 90 },
+              units: { enum: ["degrees", "radians"], default: "degrees" }
+            },
+            required: ["lon", "lat"]
+          }
+        }
+      },
+      { prefix: "test-schema" }
+    );
+  });
+
+  await t.test("defines a class for each object definition", () => {
+    assert.deepStrictEqual(
+      Object.fromEntries(Object.entries(classes).map(([name, Class]) => [name, Class.tag])),
+      {
+        "Feature": "test-schema-feature",
+        "Point": "test-schema-point",
+        "FeatureCollection": "test-schema-feature-collection",
+        "Feature-properties": "test-schema-feature-properties"
+      }
+    );
+  });
+
+  await t.test("generates matching JSON", () => {
+    document.body.innerHTML = `
+      <test-schema-feature-collection>
+        <test-schema-feature slot="features">
+          <test-schema-point slot="geometry" lon="125.6" lat="10.1" units="degrees"></test-schema-point>
+          <test-schema-feature-properties slot="properties" name="Dinagat Islands"></test-schema-feature-properties>
+        </test-schema-feature>
+      </test-schema-feature-collection>
+    `;
+    const instance = document.querySelector("test-schema-feature-collection");
+
+    assert.deepStrictEqual(instance.json, {
+      type: "FeatureCollection",
+      features: [
+        {
+          type: "Feature",
+          geometry: { lon: 125.6, lat: 10.1, units: "degrees" },
+          properties: { name: "Dinagat Islands" }
+        }
+      ]
+    });
+  });
+
+  await t.test("converts keywords into constraints", () => {
+    document.body.innerHTML = `<test-schema-point lon="200" units="miles"></test-schema-point>`;
+    const instance = document.querySelector("test-schema-point");
+
+    assert.deepStrictEqual(
+      instance.validity.errors.map(({ path, constraint }) => [path, constraint]),
+      [
+        ["/lon", "max"],
+        ["/lat", "required"],
+        ["/units", "enum"]
+      ]
+    );
+  });
+
+  await t.test("reads scalar arrays and dates from attributes", () => {
+    document.body.innerHTML = `
+      <test-schema-feature-properties tags='["one", "two"]' updated="2024-01-02T00:00:00Z"></test-schema-feature-properties>
+    `;
+    const instance = document.querySelector("test-schema-feature-properties");
+
+    assert.deepStrictEqual(instance.json, {
+      tags: ["one", "two"],
+      updated: new Date(Date.UTC(2024, 0, 2))
+    });
+  });
+
+  await t.test("uses defaults", () => {
+    document.body.innerHTML = `<test-schema-point lon="125.6" lat="10.1"></test-schema-point>`;
+    const instance = document.querySelector("test-schema-point");
+
+    assert.deepStrictEqual(instance.json, { lon: 125.6, lat: 10.1, units: "degrees" });
+  });
+});
+
+test("evaluate", async t => {
+  let lib;
+  let classes;
+
+  before(async () => {
+    lib = await import("./json-element.js");
+    const { default: JSONElement, TextContent, InlineJSON } = lib;
+
+    class EvalPoint extends JSONElement {
+      static tag = "eval-point";
+
+      static schema = {
+        type: "Point",
+        lon: Number,
+        lat: Number
+      };
+
+      get json() {
+        const { lon, lat, ...json } = super.json;
+        return { ...json, coordinates: [lon, lat] };
+      }
+    }
+
+    class EvalProperties extends JSONElement {
+      static tag = "eval-properties";
+
+      static schema = {
+        name: TextContent(),
+        data: InlineJSON()
+      };
+    }
+
+    class EvalFeature extends JSONElement {
+      static tag = "eval-feature";
+
+      static schema = {
+        type: "Feature",
+        geometry: EvalPoint,
+        properties: EvalProperties,
+        visible: Boolean
+      };
+    }
+
+    class EvalCollection extends JSONElement {
+      static tag = "eval-collection";
+
+      static schema = {
+        type: "FeatureCollection",
+        features: [EvalFeature]
+      };
+    }
+
+    classes = [EvalCollection, EvalFeature, EvalPoint, EvalProperties];
+    for (const Class of classes) Class.register();
+  });
+
+  const markup = `
+    <main>
+      <!-- <eval-point lon="0" lat="0"></eval-point> -->
+      <eval-collection>
+        <eval-feature slot="features" visible>
+          <eval-point slot="geometry" lon="125.6" lat='10.1'></eval-point>
+          <eval-properties slot="properties">
+            Dinagat &amp; Islands <br>
+            <script type="application/json">{ "population": 127152, "note": "<b>" }</script>
+          </eval-properties>
+        </eval-feature>
+        <eval-feature slot="features">
+          <eval-point slot="geometry" lon=-81.56 lat="28.38" />
+          <unknown-element slot="properties" name="ignored"></unknown-element>
+        </eval-feature>
+        <eval-feature slot="ignored"></eval-feature>
+      </eval-collection>
+    </main>
+  `;
+
+  const expected = {
+    type: "FeatureCollection",
+    features: [
+      {
+        type: "Feature",
+        geometry: { type: "Point", coordinates: [125.6, 10.1] },
+        properties: { name: "Dinagat & Islands", data: { population: 127152, note: "<b>" } },
+        visible: true
+      },
+      {
+        type: "Feature",
+        geometry: { type: "Point", coordinates: [-81.56, 28.38] },
+        visible: false
+      }
+    ]
+  };
+
+  await t.test("computes JSON from an HTML string", () => {
+    assert.deepStrictEqual(lib.evaluate(`<!DOCTYPE html>${markup}`, classes), expected);
+  });
+
+  await t.test("matches the JSON computed from the DOM", () => {
+    document.body.innerHTML = markup.replace("/>", "></eval-point>");
+    assert.deepStrictEqual(document.querySelector("eval-collection").json, expected);
+  });
+
+  await t.test("returns undefined if there are no matching elements", () => {
+    assert.strictEqual(lib.evaluate(`<div><eval-point></eval-point></div>`, []), undefined);
+  });
+
+  await t.test("works without a DOM", () => {
+    const script = `
+      import JSONElement, { evaluate } from "./json-element.js";
+      class Test extends JSONElement {
+        static tag = "test-node";
+        static schema = { number: Number, many: [Test] };
+      }
+      const html = '<test-node number="1"><test-node slot="many" number="2"></test-node></test-node>';
+      console.log(JSON.stringify(evaluate(html, [Test])));
+    `;
+
+    const output = execFileSync(process.execPath, ["--input-type=module", "-e", script], {
+      cwd: import.meta.dirname,
+      encoding: "utf8"
+    });
+
+    assert.deepStrictEqual(JSON.parse(output), { number: 1, many: [{ number: 2, many: [] }] });
+  });
+});
+
+test("registration", async t => {
+  let classes;
+
+  before(async () => {
+    const lib = await import("./json-element.js");
+    const { default: JSONElement, Enum, Constrained, Dictionary } = lib;
+
+    class TestRegisterLeaf extends JSONElement {
+      static tag = "test-register-leaf";
+    }
+
+    class TestRegisterItem extends JSONElement {
+      static tag = "test-register-item";
+
+      static get schema() {
+        return {
+          root: TestRegisterRoot
+        };
+      }
+    }
+
+    class TestRegisterOption extends JSONElement {
+      static tag = "test-register-option";
+
+      static schema = {
+        leaf: Constrained(TestRegisterLeaf, { required: true })
+      };
+    }
+
+    class TestRegisterEntry extends JSONElement {
+      static tag = "test-register-entry";
+    }
+
+    class TestRegisterRoot extends JSONElement {
+      static tag = "test-register-root";
+
+      static get schema() {
+        return {
+          name: String,
+          items: [TestRegisterItem],
+          option: Enum(Number, TestRegisterOption),
+          entries: Dictionary("key", TestRegisterEntry)
+        };
+      }
+    }
+
+    classes = {
+      TestRegisterLeaf,
+      TestRegisterItem,
+      TestRegisterOption,
+      TestRegisterEntry,
+      TestRegisterRoot
+    };
+  });
+
+  /** Creates a registry that records the tags defined in it */
+  function fakeRegistry() {
+    const definitions = new Map();
+    return {
+      definitions,
+      get: tag => definitions.get(tag),
+      define: (tag, Class) => definitions.set(tag, Class)
+    };
+  }
+
+  await t.test("registers every class reachable from the schema, dependencies first", () => {
+    const registry = fakeRegistry();
+    classes.TestRegisterRoot.registerAll(registry);
+
+    assert.deepStrictEqual(
+      [...registry.definitions].map(([tag, Class]) => [tag, Class.name]),
+      [
+        ["test-register-item", "TestRegisterItem"],
+        ["test-register-leaf", "TestRegisterLeaf"],
+        ["test-register-option", "TestRegisterOption"],
+        ["test-register-entry", "TestRegisterEntry"],
+        ["test-register-root", "TestRegisterRoot"]
+      ]
+    );
+  });
+
+  await t.test("registers globally by default", () => {
+    classes.TestRegisterOption.registerAll();
+    assert.strictEqual(customElements.get("test-register-option"), classes.TestRegisterOption);
+    assert.strictEqual(customElements.get("test-register-leaf"), classes.TestRegisterLeaf);
+    assert.strictEqual(customElements.get("test-register-root"), undefined);
+  });
+
+  await t.test("keeps registries separate", t => {
+    const warn = t.mock.method(console, "warn", () => {});
+    const first = fakeRegistry();
+    const second = fakeRegistry();
+
+    class TestRegisterOther extends classes.TestRegisterLeaf {}
+
+    classes.TestRegisterLeaf.register(undefined, first);
+    TestRegisterOther.register(undefined, second);
+    TestRegisterOther.register(undefined, first);
+
+    assert.strictEqual(first.get("test-register-leaf"), classes.TestRegisterLeaf);
+    assert.strictEqual(second.get("test-register-leaf"), TestRegisterOther);
+    assert.strictEqual(warn.mock.callCount(), 1);
+  });
+});
+
+test("declarative definitions", async t => {
+  let lib;
+
+  before(async () => {
+    lib = await import("./json-element.js");
+    lib.JSONDefineElement.register();
+  });
+
+  await t.test("defines and registers a class from markup", async () => {
+    document.body.innerHTML = `
+      <json-define tag="test-def-point">
+        <json-field key="type" type="literal" value="Point"></json-field>
+        <json-field key="lon" type="number"></json-field>
+        <json-field key="lat" type="number" default="0"></json-field>
+        <json-field key="visible" type="boolean" attribute="is-visible"></json-field>
+        <json-field key="name"></json-field>
+      </json-define>
+    `;
+    const Class = await document.querySelector("json-define").defined;
+
+    assert.strictEqual(Class.tag, "test-def-point");
+    assert.strictEqual(Class.name, "TestDefPoint");
+    assert.strictEqual(customElements.get("test-def-point"), Class);
+
+    document.body.innerHTML = `<test-def-point lon="1.5" is-visible name="A"></test-def-point>`;
+    assert.deepStrictEqual(document.querySelector("test-def-point").json, {
+      type: "Point",
+      lon: 1.5,
+      lat: 0,
+      visible: true,
+      name: "A"
+    });
+  });
+
+  await t.test("nests definitions in any order", async () => {
+    document.body.innerHTML = `
+      <json-define tag="test-def-feature">
+        <json-field key="geometry" type="object" of="test-def-location"></json-field>
+        <json-field key="items" type="array">
+          <json-define tag="test-def-item">
+            <json-field key="label"></json-field>
+          </json-define>
+        </json-field>
+      </json-define>
+      <json-define tag="test-def-location">
+        <json-field key="lon" type="number"></json-field>
+      </json-define>
+    `;
+    await document.querySelector("json-define").defined;
+
+    document.body.innerHTML = `
+      <test-def-feature>
+        <test-def-location slot="geometry" lon="2"></test-def-location>
+        <test-def-item slot="items" label="a"></test-def-item>
+      </test-def-feature>
+    `;
+    assert.deepStrictEqual(document.querySelector("test-def-feature").json, {
+      geometry: { lon: 2 },
+      items: [{ label: "a" }]
+    });
+
+    const schema = lib.toJSONSchema(customElements.get("test-def-feature"));
+    assert.deepStrictEqual(schema.properties.items, {
+      type: "array",
+      items: { $ref: "#/$defs/TestDefItem" }
+    });
+  });
+
+  await t.test("allows the same definition again", async () => {
+    const markup = `
+      <json-define tag="test-def-repeat">
+        <json-field key="name"></json-field>
+      </json-define>
+    `;
+
+    document.body.innerHTML = markup;
+    const first = await document.querySelector("json-define").defined;
+    document.body.innerHTML = markup;
+    const second = await document.querySelector("json-define").defined;
+    assert.strictEqual(first, second);
+  });
+
+  await t.test("rejects a different definition for the same tag", async () => {
+    document.body.innerHTML = `
+      <json-define tag="test-def-repeat">
+        <json-field key="name" type="number"></json-field>
+      </json-define>
+    `;
+
+    await assert.rejects(document.querySelector("json-define").defined, {
+      message: "<test-def-repeat> is already defined with a different schema"
+    });
+  });
+
+  await t.test("rejects invalid fields", async () => {
+    document.body.innerHTML = `
+      <json-define tag="test-def-invalid">
+        <json-field key="name" type="text"></json-field>
+      </json-define>
+      <json-define tag="test-def-invalid-default">
+        <json-field key="count" type="number" default="many"></json-field>
+      </json-define>
+      <json-define>
+        <json-field key="name"></json-field>
+      </json-define>
+    `;
+    const [type, invalidDefault, tag] = document.querySelectorAll("json-define");
+
+    await assert.rejects(type.defined, { message: 'Unknown type "text" for "name"' });
+    await assert.rejects(invalidDefault.defined, { message: 'Invalid default for "count"' });
+    await assert.rejects(tag.defined, { message: "<json-define> needs a tag attribute" });
+  });
+
+  await t.test("reports invalid definitions that nothing is waiting on", async () => {
+    const reportError = globalThis.reportError;
+    const reported = [];
+    globalThis.reportError = error => reported.push(error.message);
+
+    try {
+      document.body.innerHTML = `
+        <json-define tag="test-def-repeat">
+          <json-field key="name" type="boolean"></json-field>
+        </json-define>
+        <json-define tag="test-def-unknown">
+          <json-field key="name" type="wat"></json-field>
+        </json-define>
+      `;
+      await new Promise(resolve => setTimeout(resolve));
+    } finally {
+      globalThis.reportError = reportError;
+    }
+
+    assert.deepStrictEqual(reported.sort(), [
+      "<test-def-repeat> is already defined with a different schema",
+      'Unknown type "wat" for "name"'
+    ]);
+  });
+});
+
+test("toHTML", async t => {
+  let lib;
+  let classes;
+
+  before(async () => {
+    lib = await import("./json-element.js");
+    const { default: JSONElement, Enum, TextContent, InlineJSON } = lib;
+
+    class HTMLPoint extends JSONElement {
+      static tag = "html-point";
+
+      static schema = {
+        type: "Point",
+        lon: Number,
+        lat: Number
+      };
+    }
+
+    class HTMLProperties extends JSONElement {
+      static tag = "html-properties";
+
+      static schema = {
+        name: TextContent(),
+        data: InlineJSON(),
+        id: Enum(Number, String)
+      };
+    }
+
+    class HTMLFeature extends JSONElement {
+      static tag = "html-feature";
+
+      static schema = {
+        type: "Feature",
+        geometry: HTMLPoint,
+        properties: HTMLProperties,
+        visible: Boolean
+      };
+    }
+
+    class HTMLCollection extends JSONElement {
+      static tag = "html-collection";
+
+      static schema = {
+        type: "FeatureCollection",
+        features: [HTMLFeature],
+        meta: Object
+      };
+    }
+
+    classes = [HTMLCollection, HTMLFeature, HTMLPoint, HTMLProperties];
+    for (const Class of classes) Class.register();
+  });
+
+  const json = {
+    type: "FeatureCollection",
+    features: [
+      {
+        type: "Feature",
+        geometry: { type: "Point", lon: 125.6, lat: 10.1 },
+        properties: { name: "Dinagat & <Islands>", data: { note: "</script>" }, id: 'a"b' },
+        visible: true
+      },
+      {
+        type: "Feature",
+        geometry: { type: "Point", lon: -81.56, lat: 28.38 },
+        visible: false
+      }
+    ]
+  };
+
+  await t.test("generates markup for the JSON", () => {
+    const html = lib.toHTML(
+      { features: [{ geometry: { lon: 1, lat: 2 }, visible: true }] },
+      classes[0]
+    );
+    assert.strictEqual(
+      html,
+      `<html-collection><html-feature slot="features" visible><html-point slot="geometry" lon="1" lat="2"></html-point></html-feature></html-collection>`
+    );
+  });
+
+  await t.test("evaluates back to the same JSON", () => {
+    assert.deepStrictEqual(lib.evaluate(lib.toHTML(json, classes[0]), classes), json);
+  });
+
+  await t.test("renders to the same JSON in the DOM", () => {
+    document.body.innerHTML = lib.toHTML(json, classes[0]);
+    assert.deepStrictEqual(document.querySelector("html-collection").json, json);
+  });
+
+  await t.test("throws for values without an element class", () => {
+    assert.throws(() => lib.toHTML({ meta: {} }, classes[0]), /without a JSONElement subclass/);
+  });
+});
+
+test("setter", async t => {
+  before(async () => {
+    const { default: JSONElement, Enum } = await import("./json-element.js");
+
+    class TestSetterChild extends JSONElement {
+      static tag = "test-setter-child";
+
+      static schema = {
+        string: String,
+        number: Number
+      };
+    }
+
+    class TestSetter extends JSONElement {
+      static tag = "test-setter";
+
+      static schema = {
+        literal: "literal",
+        string: String,
+        number: Number,
+        bool: Boolean,
+        enum: Enum(Number, TestSetterChild),
+        object: TestSetterChild,
+        array: [TestSetterChild],
+        generic: Object
+      };
+    }
+
+    TestSetterChild.register();
+    TestSetter.register();
+  });
+
+  await t.test("sets and removes attributes for scalar keys", () => {
+    document.body.innerHTML = `<test-setter string="one" number="1"></test-setter>`;
+    const instance = document.querySelector("test-setter");
+
+    instance.json = { literal: "ignored", string: "two", bool: true };
+
+    assert.strictEqual(instance.getAttribute("string"), "two");
+    assert.strictEqual(instance.hasAttribute("number"), false);
+    assert.strictEqual(instance.hasAttribute("bool"), true);
+    assert.strictEqual(instance.hasAttribute("literal"), false);
+    assert.deepStrictEqual(instance.json, {
+      literal: "literal",
+      string: "two",
+      bool: true,
+      array: []
+    });
+  });
+
+  await t.test("creates, reuses and removes slotted children", () => {
+    document.body.innerHTML = `
+      <test-setter>
+        <test-setter-child slot="object" string="one"></test-setter-child>
+        <test-setter-child slot="array" string="a"></test-setter-child>
+      </test-setter>
+    `;
+    const instance = document.querySelector("test-setter");
+    const [object, first] = instance.children;
+
+    const json = {
+      literal: "literal",
+      bool: false,
+      object: { string: "two" },
+      array: [{ string: "b" }, { string: "c", number: 3 }]
+    };
+    instance.json = json;
+
+    assert.deepStrictEqual(instance.json, json);
+    assert.strictEqual(instance.children[0], object);
+    assert.strictEqual(instance.children[1], first);
+    assert.strictEqual(instance.children[2]?.slot, "array");
+
+    instance.json = { object: null, array: [{ string: "d" }] };
+
+    assert.deepStrictEqual(instance.json, {
+      literal: "literal",
+      bool: false,
+      array: [{ string: "d" }]
+    });
+    assert.strictEqual(instance.children.length, 1);
+    assert.strictEqual(instance.children[0], first);
+  });
+
+  await t.test("writes enums using the first schema that matches the value", () => {
+    document.body.innerHTML = `<test-setter enum="1"></test-setter>`;
+    const instance = document.querySelector("test-setter");
+
+    instance.json = { enum: { string: "nested" } };
+    assert.strictEqual(instance.hasAttribute("enum"), false);
+    assert.deepStrictEqual(instance.json.enum, { string: "nested" });
+
+    instance.json = { enum: 2 };
+    assert.strictEqual(instance.getAttribute("enum"), "2");
+    assert.strictEqual(instance.children.length, 0);
+  });
+
+  await t.test("throws when it can't infer which element to create", () => {
+    document.body.innerHTML = `<test-setter></test-setter>`;
+    const instance = document.querySelector("test-setter");
+
+    assert.throws(() => (instance.json = { generic: {} }), /JSONElement subclass/);
+  });
+
+  await t.test("doesn't write anything if part of the JSON can't be written", () => {
+    document.body.innerHTML = `
+      <test-setter string="one">
+        <test-setter-child slot="array" string="a"></test-setter-child>
+      </test-setter>
+    `;
+    const instance = document.querySelector("test-setter");
+    const before = instance.innerHTML;
+
+    assert.throws(
+      () => (instance.json = { string: "two", array: [{ string: "b" }], generic: { foo: 1 } }),
+      /JSONElement subclass/
+    );
+    assert.strictEqual(instance.innerHTML, before);
+    assert.strictEqual(instance.getAttribute("string"), "one");
+  });
+
+  await t.test("emits a `json-change` event", () => {
+    return new Promise(async resolve => {
+      document.body.innerHTML = `<test-setter></test-setter>`;
+      const instance = document.querySelector("test-setter");
+      await customElements.whenDefined("test-setter");
+      await Promise.resolve();
+
+      instance?.addEventListener("json-change", () => {
+        assert.deepStrictEqual(instance.json.object, { string: "set" });
+        resolve();
+      });
+
+      instance.json = { object: { string: "set" } };
+    });
+  });
 });
 
-test("enumerated", async t => {
+test("pointers", async t => {
   before(async () => {
-    const { default: JSONElement, Enum } = await import("./json-element.js");
+    const lib = await import("./json-element.js");
+    const { default: JSONElement, Dictionary, Inherit, InlineJSON, List } = lib;
 
-    class TestEnum extends JSONElement {
-      static tag = "test-enum";
+    class TestPointerPoint extends JSONElement {
+      static tag = "test-pointer-point";
 
       static schema = {
-        enum: Enum(String, Object)
+        coordinates: List(Number)
       };
     }
 
-    TestEnum.register();
+    class TestPointerFeature extends JSONElement {
+      static tag = "test-pointer-feature";
+
+      static schema = {
+        fid: Number,
+        units: Inherit(String),
+        geometry: TestPointerPoint
+      };
+    }
+
+    class TestPointerSource extends JSONElement {
+      static tag = "test-pointer-source";
+
+      static schema = {
+        url: String
+      };
+    }
+
+    class TestPointerRoot extends JSONElement {
+      static tag = "test-pointer-root";
+
+      static schema = {
+        name: { type: String, attribute: "data-name" },
+        title: { type: String, source: "slot" },
+        units: String,
+        config: InlineJSON(),
+        features: [TestPointerFeature],
+        sources: Dictionary("key", TestPointerSource)
+      };
+    }
+
+    TestPointerRoot.registerAll();
   });
 
-  await t.test("prefers the first item in the enum", () => {
-    document.body.innerHTML = `<test-enum enum="test"></test-enum>`;
-    const instance = document.querySelector("test-enum");
+  const markup = `
+    <test-pointer-root data-name="Root" units="m">
+      <span slot="title">Title</span>
+      <script type="application/json" slot="config">{ "zoom": 3 }</script>
+      <test-pointer-feature slot="features" fid="1">
+        <test-pointer-point slot="geometry" coordinates="1, 2"></test-pointer-point>
+      </test-pointer-feature>
+      <test-pointer-feature slot="features" fid="2"></test-pointer-feature>
+      <test-pointer-source slot="sources" key="streets" url="a"></test-pointer-source>
+    </test-pointer-root>
+    <test-pointer-source></test-pointer-source>
+  `;
 
-    assert.deepStrictEqual(instance.json, { enum: "test" });
+  await t.test("finds the element and attribute behind a value", () => {
+    document.body.innerHTML = markup;
+    const root = document.querySelector("test-pointer-root");
+    const [first, second] = root.querySelectorAll("test-pointer-feature");
+    const point = root.querySelector("test-pointer-point");
+    const source = root.querySelector("test-pointer-source");
+
+    assert.deepStrictEqual(root.elementAt(""), { element: root });
+    assert.deepStrictEqual(root.elementAt("/name"), { element: root, attribute: "data-name" });
+    assert.deepStrictEqual(root.elementAt("/title"), { element: root.querySelector("span") });
+    assert.deepStrictEqual(root.elementAt("/config/zoom"), {
+      element: root.querySelector("script")
+    });
+    assert.deepStrictEqual(root.elementAt("/features"), { element: root });
+    assert.deepStrictEqual(root.elementAt("/features/0"), { element: first });
+    assert.deepStrictEqual(root.elementAt("/features/1/fid"), {
+      element: second,
+      attribute: "fid"
+    });
+    assert.deepStrictEqual(root.elementAt("/features/0/geometry"), { element: point });
+    assert.deepStrictEqual(root.elementAt("/features/0/geometry/coordinates/1"), {
+      element: point,
+      attribute: "coordinates"
+    });
+    assert.deepStrictEqual(root.elementAt("/sources/streets"), { element: source });
+    assert.deepStrictEqual(root.elementAt("/sources/streets/url"), {
+      element: source,
+      attribute: "url"
+    });
   });
 
-  await t.test("falls back to the second item in the enum", () => {
-    document.body.innerHTML = `<test-enum><test-basic slot="enum"></test-basic></test-enum>`;
-    const instance = document.querySelector("test-enum");
+  await t.test("follows inherited values to the ancestor", () => {
+    document.body.innerHTML = markup;
+    const root = document.querySelector("test-pointer-root");
+    assert.deepStrictEqual(root.elementAt("/features/1/units"), {
+      element: root,
+      attribute: "units"
+    });
+  });
 
-    assert.deepStrictEqual(instance.json, { enum: { literal: "literal", bool: false } });
+  await t.test("returns nothing for values that don't exist", () => {
+    document.body.innerHTML = markup;
+    const root = document.querySelector("test-pointer-root");
+    assert.strictEqual(root.elementAt("/missing"), undefined);
+    assert.strictEqual(root.elementAt("/features/5"), undefined);
+    assert.strictEqual(root.elementAt("/sources/terrain"), undefined);
+  });
+
+  await t.test("finds the pointer to an element", () => {
+    document.body.innerHTML = markup;
+    const root = document.querySelector("test-pointer-root");
+    const [, second] = root.querySelectorAll("test-pointer-feature");
+    const [source, outside] = document.querySelectorAll("test-pointer-source");
+
+    assert.strictEqual(root.pointerOf(root), "");
+    assert.strictEqual(
+      root.pointerOf(root.querySelector("test-pointer-point")),
+      "/features/0/geometry"
+    );
+    assert.strictEqual(root.pointerOf(second), "/features/1");
+    assert.strictEqual(root.pointerOf(source), "/sources/streets");
+    assert.strictEqual(root.pointerOf(root.querySelector("span")), "/title");
+    assert.strictEqual(root.pointerOf(outside), undefined);
+  });
+
+  await t.test("round trips between pointers and elements", () => {
+    document.body.innerHTML = markup;
+    const root = document.querySelector("test-pointer-root");
+
+    for (const el of root.querySelectorAll("[slot]")) {
+      assert.strictEqual(root.elementAt(root.pointerOf(el)).element, el);
+    }
+  });
+});
+
+test("applyPatch", async t => {
+  let applyPatch;
+
+  before(async () => {
+    ({ applyPatch } = await import("./json-element.js"));
+  });
+
+  const markup = `
+    <test-setter string="one">
+      <test-setter-child slot="object" string="child"></test-setter-child>
+      <test-setter-child slot="array" string="a"></test-setter-child>
+      <test-setter-child slot="array" string="b"></test-setter-child>
+    </test-setter>
+  `;
+
+  await t.test("turns scalar operations into attribute writes", () => {
+    document.body.innerHTML = markup;
+    const instance = document.querySelector("test-setter");
+
+    applyPatch(instance, [
+      { op: "replace", path: "/string", value: "two" },
+      { op: "add", path: "/number", value: 2 },
+      { op: "replace", path: "/object/string", value: "nested" },
+      { op: "remove", path: "/array/1/string" }
+    ]);
+
+    assert.strictEqual(instance.getAttribute("string"), "two");
+    assert.strictEqual(instance.getAttribute("number"), "2");
+    assert.strictEqual(instance.children[0].getAttribute("string"), "nested");
+    assert.strictEqual(instance.children[2].hasAttribute("string"), false);
+  });
+
+  await t.test("inserts, removes and moves slotted children", () => {
+    document.body.innerHTML = markup;
+    const instance = document.querySelector("test-setter");
+    const [, a, b] = instance.children;
+
+    applyPatch(instance, [{ op: "add", path: "/array/0", value: { string: "c" } }]);
+    assert.deepStrictEqual(
+      instance.json.array.map(item => item.string),
+      ["c", "a", "b"]
+    );
+
+    applyPatch(instance, [{ op: "move", from: "/array/2", path: "/array/0" }]);
+    assert.deepStrictEqual(
+      instance.json.array.map(item => item.string),
+      ["b", "c", "a"]
+    );
+    assert.strictEqual(instance.querySelector("[string=b]"), b);
+
+    applyPatch(instance, [
+      { op: "remove", path: "/array/1" },
+      { op: "copy", from: "/object", path: "/array/-" }
+    ]);
+    assert.deepStrictEqual(
+      instance.json.array.map(item => item.string),
+      ["b", "a", "child"]
+    );
+    assert.strictEqual(instance.querySelector("[string=a]"), a);
+  });
+
+  await t.test("rejects the whole batch if an operation fails", () => {
+    document.body.innerHTML = markup;
+    const instance = document.querySelector("test-setter");
+
+    assert.throws(
+      () =>
+        applyPatch(instance, [
+          { op: "replace", path: "/string", value: "two" },
+          { op: "remove", path: "/array/0" },
+          { op: "test", path: "/object/string", value: "wrong" }
+        ]),
+      /Test failed/
+    );
+
+    assert.strictEqual(instance.getAttribute("string"), "one");
+    assert.strictEqual(instance.json.array.length, 2);
+  });
+
+  await t.test("rejects the whole batch if the DOM can't be written", () => {
+    document.body.innerHTML = markup;
+    const instance = document.querySelector("test-setter");
+    const before = instance.json;
+
+    // the generic object can't be created, whether or not it's still there at the end
+    for (const last of [[], [{ op: "remove", path: "/generic" }]]) {
+      assert.throws(
+        () =>
+          applyPatch(instance, [
+            { op: "replace", path: "/string", value: "two" },
+            { op: "add", path: "/generic", value: { x: 1 } },
+            ...last
+          ]),
+        /JSONElement subclass/
+      );
+
+      assert.strictEqual(instance.getAttribute("string"), "one");
+      assert.deepStrictEqual(instance.json, before);
+    }
+  });
+
+  await t.test("rejects operations on paths that don't exist", () => {
+    document.body.innerHTML = markup;
+    const instance = document.querySelector("test-setter");
+
+    assert.throws(() => applyPatch(instance, [{ op: "remove", path: "/array/5" }]));
+    assert.throws(() => applyPatch(instance, [{ op: "replace", path: "/missing/key", value: 1 }]));
+  });
+});
+
+test("history", async t => {
+  before(async () => {
+    const { default: JSONElement } = await import("./json-element.js");
+
+    class TestHistoryChild extends JSONElement {
+      static tag = "test-history-child";
+
+      static schema = {
+        string: String
+      };
+    }
+
+    class TestHistory extends JSONElement {
+      static tag = "test-history";
+
+      static schema = {
+        number: Number,
+        array: [TestHistoryChild]
+      };
+    }
+
+    TestHistoryChild.register();
+    TestHistory.register();
+  });
+
+  /** @param {string} attributes */
+  async function setup(attributes = "history") {
+    document.body.innerHTML = `
+      <test-history ${attributes} number="1">
+        <test-history-child slot="array" string="a"></test-history-child>
+      </test-history>
+    `;
+
+    const instance = document.querySelector("test-history");
+    await instance.updateComplete;
+    return instance;
+  }
+
+  await t.test("starts without any history", async () => {
+    const instance = await setup();
+    assert.strictEqual(instance.canUndo, false);
+    assert.strictEqual(instance.canRedo, false);
+    assert.strictEqual(instance.undo(), false);
+    assert.strictEqual(instance.redo(), false);
+  });
+
+  await t.test("keeps the history when undoing fails", async () => {
+    const instance = await setup();
+
+    instance.setAttribute("number", "2");
+    await instance.updateComplete;
+
+    // change the DOM without recording it, so the inverse operation no longer applies
+    instance.removeAttribute("history");
+    instance.removeAttribute("number");
+    await instance.updateComplete;
+    instance.setAttribute("history", "");
+
+    assert.throws(() => instance.undo());
+    assert.strictEqual(instance.canUndo, true);
+    assert.strictEqual(instance.canRedo, false);
+  });
+
+  await t.test("undoes and redoes attribute changes", async () => {
+    const instance = await setup();
+
+    instance.setAttribute("number", "2");
+    await instance.updateComplete;
+    instance.setAttribute("number", "3");
+    await instance.updateComplete;
+    assert.strictEqual(instance.canUndo, true);
+
+    assert.strictEqual(instance.undo(), true);
+    await instance.updateComplete;
+    assert.strictEqual(instance.getAttribute("number"), "2");
+
+    instance.undo();
+    await instance.updateComplete;
+    assert.strictEqual(instance.getAttribute("number"), "1");
+    assert.strictEqual(instance.canUndo, false);
+    assert.strictEqual(instance.canRedo, true);
+
+    instance.redo();
+    await instance.updateComplete;
+    assert.strictEqual(instance.getAttribute("number"), "2");
+    assert.strictEqual(instance.canUndo, true);
+    assert.strictEqual(instance.canRedo, true);
+  });
+
+  await t.test("undoes and redoes slotted children", async () => {
+    const instance = await setup();
+
+    const child = document.createElement("test-history-child");
+    child.setAttribute("slot", "array");
+    child.setAttribute("string", "b");
+    instance.append(child);
+    await instance.updateComplete;
+    assert.deepStrictEqual(instance.json.array, [{ string: "a" }, { string: "b" }]);
+
+    instance.undo();
+    await instance.updateComplete;
+    assert.deepStrictEqual(instance.json.array, [{ string: "a" }]);
+
+    instance.redo();
+    await instance.updateComplete;
+    assert.deepStrictEqual(instance.json.array, [{ string: "a" }, { string: "b" }]);
+  });
+
+  await t.test("batches changes into one entry", async () => {
+    const instance = await setup();
+
+    instance.setAttribute("number", "2");
+    instance.querySelector("test-history-child").setAttribute("string", "b");
+    await instance.updateComplete;
+
+    instance.undo();
+    await instance.updateComplete;
+    assert.deepStrictEqual(instance.json, { number: 1, array: [{ string: "a" }] });
+    assert.strictEqual(instance.canUndo, false);
+  });
+
+  await t.test("records pending changes before undoing", async () => {
+    const instance = await setup();
+
+    instance.setAttribute("number", "2");
+    await instance.updateComplete;
+    instance.setAttribute("number", "3");
+
+    instance.undo();
+    await instance.updateComplete;
+    assert.strictEqual(instance.getAttribute("number"), "2");
+    assert.strictEqual(instance.canUndo, true);
+  });
+
+  await t.test("clears the redo history after a new change", async () => {
+    const instance = await setup();
+
+    instance.setAttribute("number", "2");
+    await instance.updateComplete;
+    instance.undo();
+    await instance.updateComplete;
+    assert.strictEqual(instance.canRedo, true);
+
+    instance.setAttribute("number", "4");
+    await instance.updateComplete;
+    assert.strictEqual(instance.canRedo, false);
+
+    instance.undo();
+    await instance.updateComplete;
+    assert.strictEqual(instance.getAttribute("number"), "1");
+  });
+
+  await t.test("limits the number of entries", async () => {
+    const instance = await setup(`history="2"`);
+
+    for (const number of ["2", "3", "4"]) {
+      instance.setAttribute("number", number);
+      await instance.updateComplete;
+    }
+
+    assert.strictEqual(instance.undo(), true);
+    assert.strictEqual(instance.undo(), true);
+    assert.strictEqual(instance.undo(), false);
+    await instance.updateComplete;
+    assert.strictEqual(instance.getAttribute("number"), "2");
+  });
+
+  await t.test("emits json-history-change events", async () => {
+    const instance = await setup();
+
+    const events = [];
+    instance.addEventListener("json-history-change", event => events.push(event.detail));
+
+    instance.setAttribute("number", "2");
+    await instance.updateComplete;
+    instance.undo();
+    await instance.updateComplete;
+    instance.redo();
+    await instance.updateComplete;
+
+    assert.deepStrictEqual(events, [
+      { canUndo: true, canRedo: false },
+      { canUndo: false, canRedo: true },
+      { canUndo: true, canRedo: false }
+    ]);
+  });
+
+  await t.test("doesn't record anything without the history attribute", async () => {
+    const instance = await setup("");
+
+    instance.setAttribute("number", "2");
+    await instance.updateComplete;
+    assert.strictEqual(instance.canUndo, false);
   });
 });
 
@@ -371,7 +3248,18 @@ test("diff", async t => {
       { foo: { bar: "qux" } },
       [{ op: "replace", path: "/foo/bar", value: "qux" }]
     ],
-    ["second-level object, remove", { foo: "foo" }, {}, [{ op: "remove", path: "/foo" }]]
+    ["second-level object, remove", { foo: "foo" }, {}, [{ op: "remove", path: "/foo" }]],
+
+    // values compared by value
+    ["date, noop", { foo: new Date(0) }, { foo: new Date(0) }, []],
+    [
+      "date, replace",
+      { foo: new Date(0) },
+      { foo: new Date(1) },
+      [{ op: "replace", path: "/foo", value: new Date(1) }]
+    ],
+    ["bigint, noop", { foo: 1n }, { foo: 1n }, []],
+    ["list, noop", { foo: [1, 2] }, { foo: [1, 2] }, []]
   ];
 
   let i = 0;
@@ -413,3 +3301,261 @@ test("diff", async t => {
     );
   }
 });
+
+test("mirroring", async t => {
+  let lib;
+
+  before(async () => {
+    lib = await import("./json-element.js");
+    const { default: JSONElement } = lib;
+
+    class TestMirror extends JSONElement {
+      static tag = "test-mirror";
+
+      static schema = {
+        name: String,
+        updated: Date
+      };
+    }
+
+    TestMirror.register();
+  });
+
+  /** Creates a port that records the messages posted to it, and can have messages delivered to it */
+  function fakePort() {
+    const listeners = new Set();
+    return {
+      sent: [],
+      postMessage(message) {
+        this.sent.push(message);
+      },
+      addEventListener: (_, listener) => listeners.add(listener),
+      removeEventListener: (_, listener) => listeners.delete(listener),
+      deliver: data => listeners.forEach(listener => listener({ data }))
+    };
+  }
+
+  await t.test("keeps a replica up to date over a message channel", async () => {
+    document.body.innerHTML = `<test-mirror name="a" updated="2024-01-01"></test-mirror>`;
+    const instance = document.querySelector("test-mirror");
+    await instance.updateComplete;
+
+    const { port1, port2 } = new MessageChannel();
+    const stop = lib.mirror(instance, port1);
+
+    const changes = [];
+    const replica = lib.replicate(port2, (json, patches) => changes.push(patches));
+    const delivered = () => new Promise(resolve => setTimeout(resolve, 10));
+
+    try {
+      await delivered();
+      assert.deepStrictEqual(replica.json, { name: "a", updated: new Date("2024-01-01") });
+
+      instance.setAttribute("name", "b");
+      await instance.updateComplete;
+      await delivered();
+      assert.deepStrictEqual(replica.json, { name: "b", updated: new Date("2024-01-01") });
+      assert.deepStrictEqual(changes.at(-1), [{ op: "replace", path: "/name", value: "b" }]);
+
+      stop();
+      instance.setAttribute("name", "c");
+      await instance.updateComplete;
+      await delivered();
+      assert.strictEqual(replica.json.name, "b");
+    } finally {
+      replica.close();
+      port1.close();
+    }
+  });
+
+  await t.test("recovers when the mirror restarts", async () => {
+    document.body.innerHTML = `<test-mirror name="a"></test-mirror>`;
+    const instance = document.querySelector("test-mirror");
+    await instance.updateComplete;
+
+    const { port1, port2 } = new MessageChannel();
+    let stop = lib.mirror(instance, port1);
+    const replica = lib.replicate(port2);
+    const delivered = () => new Promise(resolve => setTimeout(resolve, 10));
+
+    try {
+      for (const name of ["b", "c"]) {
+        instance.setAttribute("name", name);
+        await instance.updateComplete;
+        await delivered();
+      }
+      assert.deepStrictEqual(replica.json, { name: "c" });
+
+      // the new mirror numbers its messages from 1 again, behind the replica
+      stop();
+      stop = lib.mirror(instance, port1);
+      instance.setAttribute("name", "d");
+      await instance.updateComplete;
+      await delivered();
+      assert.deepStrictEqual(replica.json, { name: "d" });
+
+      instance.setAttribute("name", "e");
+      await instance.updateComplete;
+      await delivered();
+      assert.deepStrictEqual(replica.json, { name: "e" });
+    } finally {
+      stop();
+      replica.close();
+      port1.close();
+    }
+  });
+
+  await t.test("sends snapshots and numbered patches", async () => {
+    document.body.innerHTML = `<test-mirror name="a"></test-mirror>`;
+    const instance = document.querySelector("test-mirror");
+    await instance.updateComplete;
+
+    const port = fakePort();
+    lib.mirror(instance, port);
+
+    instance.setAttribute("name", "b");
+    await instance.updateComplete;
+    port.deliver({ type: "json-resync" });
+
+    assert.deepStrictEqual(port.sent, [
+      { type: "json-snapshot", seq: 1, json: { name: "a" } },
+      { type: "json-patch", seq: 2, patches: [{ op: "replace", path: "/name", value: "b" }] },
+      { type: "json-snapshot", seq: 3, json: { name: "b" } }
+    ]);
+  });
+
+  await t.test("resyncs replicas that miss a message", () => {
+    const port = fakePort();
+    const replica = lib.replicate(port);
+    assert.deepStrictEqual(port.sent, [{ type: "json-resync" }]);
+
+    // patches are ignored until the snapshot arrives
+    port.deliver({ type: "json-patch", seq: 2, patches: [] });
+    assert.strictEqual(port.sent.length, 1);
+
+    port.deliver({ type: "json-snapshot", seq: 1, json: { name: "a" } });
+    port.deliver({ type: "json-patch", seq: 3, patches: [{ op: "remove", path: "/name" }] });
+    assert.deepStrictEqual(replica.json, { name: "a" });
+    assert.strictEqual(port.sent.length, 2);
+
+    port.deliver({ type: "json-snapshot", seq: 3, json: { name: "b" } });
+    port.deliver({ type: "json-patch", seq: 4, patches: [{ op: "remove", path: "/missing" }] });
+    assert.deepStrictEqual(replica.json, { name: "b" });
+    assert.strictEqual(replica.seq, 3);
+    assert.strictEqual(port.sent.length, 3);
+  });
+
+  await t.test("ignores snapshots that are older than the replica", () => {
+    const port = fakePort();
+    const changes = [];
+    const replica = lib.replicate(port, json => changes.push(json));
+
+    port.deliver({ type: "json-snapshot", seq: 2, json: { name: "b" } });
+    port.deliver({
+      type: "json-patch",
+      seq: 3,
+      patches: [{ op: "replace", path: "/name", value: "c" }]
+    });
+    port.deliver({ type: "json-snapshot", seq: 1, json: { name: "a" } });
+    port.deliver({ type: "json-snapshot", seq: 3, json: { name: "x" } });
+
+    assert.deepStrictEqual(replica.json, { name: "c" });
+    assert.strictEqual(replica.seq, 3);
+    assert.strictEqual(changes.length, 2);
+  });
+});
+
+test("keyed diff", async t => {
+  let JSONElement;
+
+  before(async () => {
+    const lib = await import("./json-element.js");
+    JSONElement = lib.default;
+    lib.enableDiff();
+  });
+
+  const features = Array.from({ length: 500 }, (_, i) => ({ id: i, name: `feature ${i}` }));
+
+  /**
+   * An array of keyed diff test cases
+   * @type {[description: string, before: any, after: any, patches: import("./json-element.js").Patch[]][]}
+   */
+  const cases = [
+    ["scalars, remove from front", [1, 2, 3], [2, 3], [{ op: "remove", path: "/0" }]],
+    ["scalars, add to front", [2, 3], [1, 2, 3], [{ op: "add", path: "/0", value: 1 }]],
+    [
+      "scalars, move",
+      ["a", "b", "c", "d"],
+      ["b", "c", "d", "a"],
+      [{ op: "move", from: "/0", path: "/3" }]
+    ],
+    [
+      "objects, insert at front of a long array",
+      { features },
+      { features: [{ id: -1 }, ...features] },
+      [{ op: "add", path: "/features/0", value: { id: -1 } }]
+    ],
+    [
+      "objects, move and update",
+      [
+        { id: 1, name: "one" },
+        { id: 2, name: "two" }
+      ],
+      [
+        { id: 2, name: "two" },
+        { id: 1, name: "uno" }
+      ],
+      [
+        { op: "move", from: "/1", path: "/0" },
+        { op: "replace", path: "/1/name", value: "uno" }
+      ]
+    ],
+    [
+      "objects, change key",
+      [{ id: 1, name: "one" }],
+      [{ id: 2, name: "one" }],
+      [
+        { op: "remove", path: "/0" },
+        { op: "add", path: "/0", value: { id: 2, name: "one" } }
+      ]
+    ]
+  ];
+
+  let i = 0;
+  for (const [name, before, after, patches] of cases) {
+    await t.test(
+      name,
+      async () =>
+        new Promise(async resolve => {
+          const tag = `test-keyed-diff-${++i}`;
+          class TestKeyedDiff extends JSONElement {
+            static tag = tag;
+
+            static get schema() {
+              return {
+                result: value => (value === "before" ? before : after)
+              };
+            }
+
+            get json() {
+              return super.json.result;
+            }
+          }
+
+          TestKeyedDiff.register();
+
+          document.body.innerHTML = `<${tag} diff="keyed" diff-key="id" result="before"></${tag}>`;
+          await customElements.whenDefined(tag);
+
+          const instance = document.querySelector(tag);
+
+          instance?.addEventListener("json-change", ev => {
+            assert.deepStrictEqual(patches, ev.detail.patches);
+            resolve();
+          });
+
+          setTimeout(() => instance.setAttribute("result", "after"));
+        })
+    );
+  }
+});